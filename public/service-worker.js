@@ -0,0 +1,61 @@
+/* eslint-env serviceworker, es2020 */
+// --- App Shell Service Worker ---
+// Caches the app shell so the tracker opens with no connection. The build's
+// JS and CSS (listed in asset-manifest.json) are precached on install, since
+// the first visit loads them before the worker is in control. Navigations
+// go to the network first and fall back to the cached index.html; built
+// static assets (content-hashed, so safe to keep) are served cache-first.
+// Firestore and Gemini requests are cross-origin and never touched here.
+
+const CACHE_NAME = 'points-tracker-shell-v2';
+const SHELL_URLS = ['./', './index.html', './manifest.json'];
+
+// Everything the build emitted except source maps and license notes.
+const buildAssetUrls = () => fetch('./asset-manifest.json', { cache: 'no-store' })
+    .then((response) => (response.ok ? response.json() : { files: {} }))
+    .then(({ files = {} }) => Object.values(files).filter((path) => !/\.(map|txt)$/.test(path) && !path.endsWith('index.html')));
+
+globalThis.addEventListener('install', (event) => {
+    event.waitUntil(
+        buildAssetUrls()
+            .then((assets) => caches.open(CACHE_NAME).then((cache) => cache.addAll([...SHELL_URLS, ...assets])))
+            .then(() => globalThis.skipWaiting())
+    );
+});
+
+globalThis.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+            .then(() => globalThis.clients.claim())
+    );
+});
+
+globalThis.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== globalThis.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then((response) => {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then((cache) => cache.put('./index.html', copy));
+                    return response;
+                })
+                .catch(() => caches.match('./index.html'))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+            if (response.ok && url.pathname.includes('/static/')) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
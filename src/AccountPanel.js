@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { validateCredentials, describeAuthError } from './account';
+
+const inputClass = "w-full p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500";
+
+// --- Account Panel ---
+// Guests can save their data to an email/password account or sign in to an
+// existing one; signed-in users can sign out. The handlers throw Firebase
+// auth errors, which are shown here.
+export default function AccountPanel({ user, onUpgrade, onSignIn, onSignOut, onResetPassword }) {
+    const [mode, setMode] = useState('upgrade'); // 'upgrade' | 'signin'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [formError, setFormError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+
+    const run = async (action) => {
+        setFormError(''); setNotice('');
+        setIsBusy(true);
+        try {
+            await action();
+        } catch (err) {
+            console.error("Account error:", err);
+            setFormError(describeAuthError(err));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const validationError = validateCredentials({ email, password, confirmPassword }, mode);
+        if (validationError) { setFormError(validationError); return; }
+        run(async () => {
+            const credentials = { email: email.trim(), password };
+            if (mode === 'upgrade') await onUpgrade(credentials);
+            else await onSignIn(credentials);
+            setPassword(''); setConfirmPassword('');
+        });
+    };
+
+    const handleResetPassword = () => {
+        if (validateCredentials({ email, password: '-' }, 'signin')) { setFormError('Enter your email address first.'); return; }
+        run(async () => {
+            await onResetPassword(email.trim());
+            setNotice(`Password reset email sent to ${email.trim()}.`);
+        });
+    };
+
+    if (!user) return <p className="text-sm text-gray-500">Connecting...</p>;
+
+    if (!user.isAnonymous) {
+        return (
+            <div className="space-y-3 text-sm">
+                <p className="text-gray-600">Signed in as <span className="font-semibold text-gray-800">{user.email}</span>. Your log is saved to this account and available on any device.</p>
+                {formError && <p className="text-xs text-red-500">{formError}</p>}
+                <button onClick={() => run(onSignOut)} disabled={isBusy} className="w-full bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition disabled:opacity-50">Sign Out</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4 text-sm">
+            <p className="text-amber-700 bg-amber-50 rounded-md p-2">You're using a guest account. Your log only lives in this browser until you save it to an account.</p>
+            <div className="flex gap-2">
+                {[{ id: 'upgrade', label: 'Create Account' }, { id: 'signin', label: 'Sign In' }].map((tab) => (
+                    <button key={tab.id} type="button" onClick={() => { setMode(tab.id); setFormError(''); setNotice(''); }} className={`text-sm font-semibold px-3 py-1 rounded-full transition ${mode === tab.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}>{tab.label}</button>
+                ))}
+            </div>
+            <form onSubmit={handleSubmit} className="space-y-3">
+                <input type="email" autoComplete="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+                <input type="password" autoComplete={mode === 'upgrade' ? 'new-password' : 'current-password'} placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+                {mode === 'upgrade' && <input type="password" autoComplete="new-password" placeholder="Confirm password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} />}
+                {mode === 'upgrade'
+                    ? <p className="text-xs text-gray-500">Everything you've logged so far moves to the new account.</p>
+                    : <p className="text-xs text-gray-500">Signing in switches to that account's log. This guest log isn't merged into it, so export it first if you want to keep it.</p>}
+                {formError && <p className="text-xs text-red-500">{formError}</p>}
+                {notice && <p className="text-xs text-green-600">{notice}</p>}
+                <button type="submit" disabled={isBusy} className="w-full bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{isBusy ? 'Please wait...' : mode === 'upgrade' ? 'Save My Data to an Account' : 'Sign In'}</button>
+                {mode === 'signin' && <button type="button" onClick={handleResetPassword} disabled={isBusy} className="w-full text-blue-600 hover:text-blue-800 font-semibold transition">Forgot password?</button>}
+            </form>
+        </div>
+    );
+}
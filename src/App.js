@@ -1,7 +1,32 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, doc, addDoc, onSnapshot, query, deleteDoc, getDocs } from 'firebase/firestore';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, doc, addDoc, setDoc, updateDoc, onSnapshot, query, where, deleteDoc, getDocs } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInWithCustomToken, signInAnonymously, onAuthStateChanged, signInWithEmailAndPassword, sendPasswordResetEmail, signOut } from 'firebase/auth';
+import { startOfDay, addDays, isSameDay, getDayRange, toJsDate, toDateKey, fromDateKey, withTimeOfDay, formatDayLabel } from './dateUtils';
+import { DEFAULT_BUDGET, normalizeBudget, getWeekRange, computeBudgetStatus, mealPointRange, describePointRange } from './budget';
+import BudgetSettingsForm from './BudgetSettingsForm';
+import { calculatePoints, stampEntry, isZeroPointFood, isKnownFormula, DEFAULT_FORMULA_ID } from './pointsRules';
+import PointsPlanForm from './PointsPlanForm';
+import { createGeminiClient, getGeminiConfig, isAbortError } from './geminiClient';
+import { FOOD_LOOKUP_SCHEMA, MEAL_SUGGESTIONS_SCHEMA, PHOTO_ITEMS_SCHEMA, NUTRIENT_KEYS } from './aiSchemas';
+import { foodKey, foodDocId, toSavedFood, indexFoodsByKey, searchFoods, findConvertibleFood, createNutritionCache } from './foodLibrary';
+import { NUTRIENT_FIELDS, validateNutrients, validateQuantity } from './nutrients';
+import { MEALS, mealLabel, defaultMealForTime, mealOf, groupByMeal, describeMealBreakdown } from './meals';
+import { FOOD_UNITS, normalizeGramWeights, convertPerUnitValues, convertQuantity, describeGramWeights, formatAmount } from './units';
+import { toRecipeLogEntry } from './recipes';
+import RecipeBuilder from './RecipeBuilder';
+import { summarizeDays, describeTrends } from './trends';
+import TrendsDashboard, { TREND_RANGES } from './TrendsDashboard';
+import { DEFAULT_BODY_SETTINGS, normalizeBodySettings, inWeightUnit, weighInsInRange, describeWeightTrend } from './weight';
+import WeightTracker from './WeightTracker';
+import { exportLogCsv, exportJson, parseImportFile, dedupeEntries, dedupeSavedFoods, entriesDayRange, exportFileName } from './dataExport';
+import { getEmulatorConfig, describeUser, upgradeGuestAccount } from './account';
+import AccountPanel from './AccountPanel';
+import { photoToInlineData, buildPhotoContents, toDetectedEntry } from './photoLookup';
+import { getBarcodeProvider } from './barcodeLookup';
+import FoodScanner from './FoodScanner';
+import { buildDayContext, toChatContents, suggestionToEntry } from './assistant';
+import AssistantPanel from './AssistantPanel';
 
 // --- Helper Functions ---
 const debounce = (func, delay) => {
@@ -14,23 +39,46 @@ const debounce = (func, delay) => {
     };
 };
 
-// --- Points Calculation Logic ---
-const calculatePoints = (item) => {
-    if (item.isZeroPoint) {
-        return 0;
-    }
-    const p = parseFloat(item.protein) || 0;
-    const c = parseFloat(item.carbs) || 0;
-    const f = parseFloat(item.fat) || 0;
-    const fi = parseFloat(item.fiber) || 0;
-    const cal = parseFloat(item.calories) || ((p * 4) + (c * 4) + (f * 9));
-    const qty = parseFloat(item.quantity) || 1;
-
-    const pointsPerUnit = (cal / 33) + (f / 9) - (Math.min(fi, c / 10) / 5);
-    
-    const totalPoints = pointsPerUnit * qty;
+const downloadFile = (fileName, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const gemini = createGeminiClient(getGeminiConfig());
+const nutritionCache = createNutritionCache();
+const barcodeProvider = getBarcodeProvider();
+
+const OFFLINE_LOOKUP_MESSAGE = "You're offline. Only saved foods and earlier lookups are available.";
+
+const getAppId = () => typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+
+const foodLogPath = (userId) => `/artifacts/${getAppId()}/users/${userId}/foodLog`;
+
+const savedFoodsPath = (userId) => `/artifacts/${getAppId()}/users/${userId}/savedFoods`;
+
+const recipesPath = (userId) => `/artifacts/${getAppId()}/users/${userId}/recipes`;
+
+const weighInsPath = (userId) => `/artifacts/${getAppId()}/users/${userId}/weighIns`;
 
-    return Math.max(0, Math.round(totalPoints));
+const settingsDocPath = (userId, name) => `/artifacts/${getAppId()}/users/${userId}/settings/${name}`;
+
+const rangeQuery = (db, userId, { start, end }) => query(collection(db, foodLogPath(userId)), where('createdAt', '>=', start), where('createdAt', '<', end));
+
+// Entries whose createdAt falls on the given local calendar day.
+const dayQuery = (db, userId, date) => rangeQuery(db, userId, getDayRange(date));
+
+// Applies one food log write. The promise settles once the server confirms it.
+const applyLogWrite = (db, op) => {
+    const ref = doc(db, op.path, op.docId);
+    if (op.type === 'add') return setDoc(ref, op.data);
+    if (op.type === 'update') return updateDoc(ref, op.data);
+    return deleteDoc(ref);
 };
 
 // --- Modal Component ---
@@ -61,19 +109,40 @@ export default function App() {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [authUser, setAuthUser] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
 
     // --- App State ---
     const [foodLog, setFoodLog] = useState([]);
+    const [weekLog, setWeekLog] = useState([]);
+    const [dayHasPendingWrites, setDayHasPendingWrites] = useState(false);
+    const [unconfirmedWrites, setUnconfirmedWrites] = useState(0);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const [view, setView] = useState('log'); // 'log' | 'trends' | 'settings'
+    const [trendRangeDays, setTrendRangeDays] = useState(TREND_RANGES[0].days);
+    const [trendLog, setTrendLog] = useState([]);
+    const [isTrendLoading, setIsTrendLoading] = useState(false);
+    const [budget, setBudget] = useState(DEFAULT_BUDGET);
+    const [pointsPlan, setPointsPlan] = useState({ formulaId: DEFAULT_FORMULA_ID, zeroPointFoods: [] });
+    const [savedFoods, setSavedFoods] = useState([]);
+    const [serverWeighIns, setServerWeighIns] = useState([]);
+    const [bodySettings, setBodySettings] = useState(DEFAULT_BODY_SETTINGS);
+    const [recipes, setRecipes] = useState([]);
+    const [recipeServings, setRecipeServings] = useState({});
+    const [recipeMeal, setRecipeMeal] = useState(() => defaultMealForTime());
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState('');
     const [isFetching, setIsFetching] = useState(false);
     const [lookupSuccess, setLookupSuccess] = useState(false);
+    const [lookupSource, setLookupSource] = useState(null); // 'saved' | 'cache' | 'ai' | 'manual'
+    const lookupAbortRef = useRef(null);
+    const exactConversionRef = useRef({});
+    const [selectedDate, setSelectedDate] = useState(() => startOfDay(new Date()));
     
     // --- Gemini Features State ---
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [modalContent, setModalContent] = useState({ title: '', content: null });
-    const [isGenerating, setIsGenerating] = useState(false);
+    const [isTransferring, setIsTransferring] = useState(false);
 
 
     // --- Form State ---
@@ -82,23 +151,41 @@ export default function App() {
     const [carbs, setCarbs] = useState('');
     const [fat, setFat] = useState('');
     const [fiber, setFiber] = useState('');
+    const [sugar, setSugar] = useState('');
+    const [saturatedFat, setSaturatedFat] = useState('');
     const [calories, setCalories] = useState('');
     const [quantity, setQuantity] = useState(1);
     const [unit, setUnit] = useState('serving');
     const [isZeroPoint, setIsZeroPoint] = useState(false);
+    const [zeroPointOverride, setZeroPointOverride] = useState(null); // true | false | null (no override)
+    const [gramWeights, setGramWeights] = useState({});
+    const [meal, setMeal] = useState(() => defaultMealForTime());
+    const [collapsedMeals, setCollapsedMeals] = useState({});
+    const [showFoodSuggestions, setShowFoodSuggestions] = useState(false);
+    const [editingEntry, setEditingEntry] = useState(null);
 
     // --- Firebase Initialization and Auth ---
     useEffect(() => {
         try {
             const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
             const app = initializeApp(firebaseConfig);
-            const firestoreDb = getFirestore(app);
+            let firestoreDb;
+            try {
+                firestoreDb = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+            } catch (persistenceError) {
+                console.warn("Offline persistence unavailable, falling back to memory cache:", persistenceError);
+                firestoreDb = getFirestore(app);
+            }
             const firebaseAuth = getAuth(app);
+            const emulators = getEmulatorConfig();
+            if (emulators.auth) connectAuthEmulator(firebaseAuth, `http://${emulators.auth.host}:${emulators.auth.port}`, { disableWarnings: true });
+            if (emulators.firestore) connectFirestoreEmulator(firestoreDb, emulators.firestore.host, emulators.firestore.port);
             
             setDb(firestoreDb);
             setAuth(firebaseAuth);
 
             onAuthStateChanged(firebaseAuth, async (user) => {
+                setAuthUser(describeUser(user));
                 if (user) {
                     setUserId(user.uid);
                 } else {
@@ -122,20 +209,20 @@ export default function App() {
         }
     }, []);
 
-    // --- Firestore Data Listener ---
+    // --- Firestore Data Listener (selected day only) ---
     useEffect(() => {
         if (isAuthReady && db && userId) {
             setIsLoading(true);
-            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            const foodLogCollectionPath = `/artifacts/${appId}/users/${userId}/foodLog`;
-            const q = query(collection(db, foodLogCollectionPath));
+            const q = dayQuery(db, userId, selectedDate);
 
-            const unsubscribe = onSnapshot(q, (querySnapshot) => {
+            // Metadata changes report when Firestore's local writes reach the server.
+            const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (querySnapshot) => {
                 const log = [];
                 querySnapshot.forEach((doc) => {
-                    log.push({ id: doc.id, ...doc.data() });
+                    log.push({ id: doc.id, ...doc.data(), isPending: doc.metadata.hasPendingWrites });
                 });
                 setFoodLog(log);
+                setDayHasPendingWrites(querySnapshot.metadata.hasPendingWrites);
                 setIsLoading(false);
             }, (err) => {
                 console.error("Firestore snapshot error:", err);
@@ -143,194 +230,797 @@ export default function App() {
                 setIsLoading(false);
             });
 
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId, selectedDate]);
+
+    // --- Budget Settings and Week Listeners ---
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const unsubscribe = onSnapshot(doc(db, settingsDocPath(userId, 'budget')), (snapshot) => {
+                setBudget(normalizeBudget(snapshot.exists() ? snapshot.data() : {}));
+            }, (err) => {
+                console.error("Budget settings snapshot error:", err);
+            });
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId]);
+
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const unsubscribe = onSnapshot(doc(db, settingsDocPath(userId, 'points')), (snapshot) => {
+                const data = snapshot.exists() ? snapshot.data() : {};
+                setPointsPlan({
+                    formulaId: isKnownFormula(data.formulaId) ? data.formulaId : DEFAULT_FORMULA_ID,
+                    zeroPointFoods: Array.isArray(data.zeroPointFoods) ? data.zeroPointFoods : [],
+                });
+            }, (err) => {
+                console.error("Points plan snapshot error:", err);
+            });
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId]);
+
+    // --- Weigh-In Listeners ---
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const unsubscribe = onSnapshot(collection(db, weighInsPath(userId)), (querySnapshot) => {
+                const list = [];
+                querySnapshot.forEach((doc) => {
+                    list.push({ id: doc.id, ...doc.data() });
+                });
+                setServerWeighIns(list);
+            }, (err) => {
+                console.error("Weigh-ins snapshot error:", err);
+            });
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId]);
+
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const unsubscribe = onSnapshot(doc(db, settingsDocPath(userId, 'body')), (snapshot) => {
+                setBodySettings(normalizeBodySettings(snapshot.exists() ? snapshot.data() : {}));
+            }, (err) => {
+                console.error("Body settings snapshot error:", err);
+            });
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId]);
+
+    const weighIns = useMemo(() => inWeightUnit(serverWeighIns, bodySettings.weightUnit), [serverWeighIns, bodySettings.weightUnit]);
+
+    // --- Saved Foods Listener ---
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const unsubscribe = onSnapshot(collection(db, savedFoodsPath(userId)), (querySnapshot) => {
+                const foods = [];
+                querySnapshot.forEach((doc) => {
+                    foods.push({ id: doc.id, ...doc.data() });
+                });
+                setSavedFoods(foods);
+            }, (err) => {
+                console.error("Saved foods snapshot error:", err);
+            });
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId]);
+
+    // --- Recipes Listener ---
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const unsubscribe = onSnapshot(collection(db, recipesPath(userId)), (querySnapshot) => {
+                const list = [];
+                querySnapshot.forEach((doc) => {
+                    list.push({ id: doc.id, ...doc.data() });
+                });
+                setRecipes(list.sort((a, b) => a.name.localeCompare(b.name)));
+            }, (err) => {
+                console.error("Recipes snapshot error:", err);
+            });
             return () => unsubscribe();
         }
     }, [isAuthReady, db, userId]);
+
+    const savedFoodsByKey = useMemo(() => indexFoodsByKey(savedFoods), [savedFoods]);
+    const foodSuggestions = useMemo(() => searchFoods(savedFoods, foodName), [savedFoods, foodName]);
+    const currentSavedFood = savedFoodsByKey[foodKey(foodName, unit)];
+
+    const weekStartKey = toDateKey(getWeekRange(selectedDate, budget.weekStartsOn).start);
+
+    useEffect(() => {
+        if (isAuthReady && db && userId) {
+            const q = rangeQuery(db, userId, getWeekRange(fromDateKey(weekStartKey), budget.weekStartsOn));
+            const unsubscribe = onSnapshot(q, (querySnapshot) => {
+                const log = [];
+                querySnapshot.forEach((doc) => {
+                    log.push({ id: doc.id, ...doc.data() });
+                });
+                setWeekLog(log);
+            }, (err) => {
+                console.error("Weekly log snapshot error:", err);
+            });
+            return () => unsubscribe();
+        }
+    }, [isAuthReady, db, userId, weekStartKey, budget.weekStartsOn]);
+
+    // --- Offline Sync ---
+    // Firestore's persistent cache is the offline queue: writes apply locally
+    // at once, survive reloads and are sent in order when the connection is back.
+    useEffect(() => {
+        const updateOnline = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', updateOnline);
+        window.addEventListener('offline', updateOnline);
+        return () => {
+            window.removeEventListener('online', updateOnline);
+            window.removeEventListener('offline', updateOnline);
+        };
+    }, []);
+
+    // Food log writes aren't awaited: offline, the server's confirmation only
+    // comes once the connection is back. Invalid data still throws here, and a
+    // write the server rejects is reported when the rejection arrives.
+    const writeLog = async (type, docId, data) => {
+        const confirmed = applyLogWrite(db, { type, path: foodLogPath(userId), docId, data });
+        setUnconfirmedWrites((count) => count + 1);
+        confirmed
+            .catch((err) => { console.error("Error syncing food log change: ", err); setError("A change to your food log could not be saved."); })
+            .finally(() => setUnconfirmedWrites((count) => count - 1));
+    };
+
+    const todayKey = toDateKey(new Date());
+    const trendRange = useMemo(() => {
+        const end = addDays(fromDateKey(todayKey), 1);
+        return { start: addDays(end, -trendRangeDays), end };
+    }, [todayKey, trendRangeDays]);
+
+    // --- Trends Listener (only while the dashboard is open) ---
+    useEffect(() => {
+        if (view === 'trends' && isAuthReady && db && userId) {
+            setIsTrendLoading(true);
+            const unsubscribe = onSnapshot(rangeQuery(db, userId, trendRange), (querySnapshot) => {
+                const log = [];
+                querySnapshot.forEach((doc) => {
+                    log.push({ id: doc.id, ...doc.data() });
+                });
+                setTrendLog(log);
+                setIsTrendLoading(false);
+            }, (err) => {
+                console.error("Trends snapshot error:", err);
+                setError("Failed to load your history.");
+                setIsTrendLoading(false);
+            });
+            return () => unsubscribe();
+        }
+    }, [view, isAuthReady, db, userId, trendRange]);
+
+    const hasPendingWrites = unconfirmedWrites > 0 || dayHasPendingWrites;
+    const syncStatus = !isOnline ? 'offline' : hasPendingWrites ? 'syncing' : 'synced';
+
+    const isViewingToday = isSameDay(selectedDate, new Date());
+    const dayLabel = formatDayLabel(selectedDate);
+
+    const changeDay = (offset) => {
+        const next = addDays(selectedDate, offset);
+        if (next > new Date()) return;
+        setSelectedDate(startOfDay(next));
+    };
+
+    const handleDateInput = (e) => {
+        const picked = fromDateKey(e.target.value);
+        if (picked && picked <= new Date()) setSelectedDate(startOfDay(picked));
+    };
     
     const resetNutrientFields = () => {
-        setProtein(''); setCarbs(''); setFat(''); setFiber(''); setCalories('');
-        setIsZeroPoint(false); setLookupSuccess(false); setError('');
+        setProtein(''); setCarbs(''); setFat(''); setFiber(''); setSugar(''); setSaturatedFat(''); setCalories('');
+        setIsZeroPoint(false); setZeroPointOverride(null); setGramWeights({}); exactConversionRef.current = {}; setLookupSuccess(false); setLookupSource(null); setError('');
     };
-    
-    useEffect(resetNutrientFields, [foodName]);
 
-    // --- Gemini API Call for Nutrient Lookup ---
-    const handleFoodLookup = async () => {
+    const fillNutrientFields = (data, source) => {
+        setCalories(String(data.calories ?? ''));
+        setProtein(String(data.protein ?? 0)); setCarbs(String(data.carbs ?? 0));
+        setFat(String(data.fat ?? 0)); setFiber(String(data.fiber ?? 0));
+        setSugar(String(data.sugar ?? 0)); setSaturatedFat(String(data.saturatedFat ?? 0));
+        setIsZeroPoint(!!data.isZeroPoint); setZeroPointOverride(typeof data.zeroPointOverride === 'boolean' ? data.zeroPointOverride : null); setGramWeights(normalizeGramWeights(data.gramWeights));
+        exactConversionRef.current = {}; setLookupSuccess(true); setLookupSource(source);
+    };
+
+    const nutrientInputs = {
+        calories: [calories, setCalories], protein: [protein, setProtein], carbs: [carbs, setCarbs], fat: [fat, setFat],
+        fiber: [fiber, setFiber], sugar: [sugar, setSugar], saturatedFat: [saturatedFat, setSaturatedFat],
+    };
+
+    const nutrientValidation = useMemo(
+        () => validateNutrients({ calories, protein, carbs, fat, fiber, sugar, saturatedFat }),
+        [calories, protein, carbs, fat, fiber, sugar, saturatedFat]
+    );
+
+    // Any hand edit turns the values into a manual entry, which a new lookup won't overwrite silently.
+    const handleNutrientChange = (key, value) => {
+        nutrientInputs[key][1](value);
+        setLookupSource('manual');
+    };
+
+    const handleZeroPointOverride = (checked) => {
+        setZeroPointOverride(checked);
+        setLookupSource('manual');
+    };
+
+    // Typing a new food name clears looked-up nutrients and cancels any lookup still in flight.
+    // Hand-entered values and entries being edited keep their nutrients.
+    const handleFoodNameChange = (name) => {
+        lookupAbortRef.current?.abort();
+        setFoodName(name);
+        if (!editingEntry && lookupSource !== 'manual') resetNutrientFields();
+        setShowFoodSuggestions(true);
+    };
+
+    // Switching units rescales the per-unit nutrients and converts the quantity
+    // so the portion stays the same (1 cup -> 240 g). Looked-up values that
+    // can't be converted are cleared rather than left describing the old unit.
+    // Converted values are shortened for the inputs, but the exact ones are
+    // kept: a field still showing its shortened value converts from the exact
+    // one next time, so switching back and forth doesn't drift.
+    const handleUnitChange = (newUnit) => {
+        if (newUnit === unit) return;
+        if (calories !== '') {
+            const exact = exactConversionRef.current;
+            const fromExact = (key, text) => (key in exact && formatAmount(exact[key]) === String(text) ? exact[key] : text);
+            const values = {};
+            NUTRIENT_KEYS.forEach((key) => { values[key] = fromExact(key, nutrientInputs[key][0]); });
+            const converted = convertPerUnitValues(values, NUTRIENT_KEYS, unit, newUnit, gramWeights);
+            if (converted) {
+                NUTRIENT_KEYS.forEach((key) => nutrientInputs[key][1](formatAmount(converted[key])));
+                const convertedQty = convertQuantity(fromExact('quantity', quantity), unit, newUnit, gramWeights);
+                if (convertedQty !== null) setQuantity(formatAmount(convertedQty));
+                exactConversionRef.current = { ...converted, quantity: convertedQty };
+            } else if (lookupSource !== 'manual' && !editingEntry) {
+                resetNutrientFields();
+                setError(`Can't convert ${unit} to ${newUnit} for this food. Look it up again.`);
+            }
+        }
+        setUnit(newUnit);
+    };
+
+    const resetForm = () => {
+        lookupAbortRef.current?.abort();
+        setFoodName(''); resetNutrientFields(); setQuantity(1); setUnit('serving');
+        setMeal(defaultMealForTime()); setEditingEntry(null);
+    };
+
+    const handleEditFood = (item) => {
+        lookupAbortRef.current?.abort();
+        setEditingEntry(item);
+        setFoodName(item.name); setQuantity(item.quantity); setUnit(item.unit); setMeal(mealOf(item));
+        fillNutrientFields(item, 'manual');
+        setShowFoodSuggestions(false);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    useEffect(() => () => lookupAbortRef.current?.abort(), []);
+
+    const handlePickSavedFood = (food) => {
+        lookupAbortRef.current?.abort();
+        setFoodName(food.name); setUnit(food.unit);
+        fillNutrientFields(food, 'saved');
+        setShowFoodSuggestions(false);
+    };
+
+    // --- Gemini API Call for Nutrient Lookup (result is cached) ---
+    const fetchNutrientsFromAI = async (name, forUnit, signal) => {
+        const prompt = `Based on general Weight Watchers principles, provide the nutritional information for one single '${forUnit}' of '${name}'. Include calories, sugar and saturated fat. Determine if it's a zero-point food. Also give gramWeights: the weight in grams of one serving, one item, one slice and one cup of it (0 where that unit doesn't apply). Respond ONLY with a JSON object.`;
+        const data = await gemini.generateJson({ prompt, schema: FOOD_LOOKUP_SCHEMA, signal });
+        nutritionCache.set(name, forUnit, data);
+        return data;
+    };
+
+    // --- Nutrient Lookup: saved foods, then the local cache, then Gemini ---
+    const handleFoodLookup = async ({ skipCache = false } = {}) => {
         if (!foodName.trim()) { setError("Please enter a food name."); return; }
+        setShowFoodSuggestions(false);
+        if (!skipCache) {
+            if (currentSavedFood) { fillNutrientFields(currentSavedFood, 'saved'); return; }
+            const cached = nutritionCache.get(foodName, unit);
+            if (cached) { fillNutrientFields(cached, 'cache'); return; }
+            const savedInOtherUnit = findConvertibleFood(savedFoods, foodName, unit);
+            if (savedInOtherUnit) { fillNutrientFields(savedInOtherUnit, 'saved'); return; }
+            const cachedInOtherUnit = nutritionCache.findConvertible(foodName, unit);
+            if (cachedInOtherUnit) { fillNutrientFields(cachedInOtherUnit, 'cache'); return; }
+        }
+        if (!isOnline) { setError(OFFLINE_LOOKUP_MESSAGE); return; }
         setIsFetching(true); resetNutrientFields();
-        const prompt = `Based on general Weight Watchers principles, provide the nutritional information for one single '${unit}' of '${foodName}'. Include calories. Determine if it's a zero-point food. Respond ONLY with a JSON object.`;
-        const payload = {
-            contents: [{ role: "user", parts: [{ text: prompt }] }],
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: "OBJECT",
-                    properties: {
-                        "calories": { "type": "NUMBER" },
-                        "protein": { "type": "NUMBER" }, "carbs": { "type": "NUMBER" },
-                        "fat": { "type": "NUMBER" }, "fiber": { "type": "NUMBER" },
-                        "isZeroPoint": { "type": "BOOLEAN" }
-                    },
-                    required: ["calories", "protein", "carbs", "fat", "fiber", "isZeroPoint"]
-                }
-            }
-        };
+        const controller = new AbortController();
+        lookupAbortRef.current = controller;
         try {
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-            if (!response.ok) throw new Error(`API request failed with status ${response.status}`);
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]?.text) {
-                const data = JSON.parse(result.candidates[0].content.parts[0].text);
-                setCalories(data.calories.toString());
-                setProtein(data.protein.toString()); setCarbs(data.carbs.toString());
-                setFat(data.fat.toString()); setFiber(data.fiber.toString());
-                setIsZeroPoint(data.isZeroPoint); setLookupSuccess(true);
-            } else { throw new Error("Could not find nutritional data."); }
+            const data = await fetchNutrientsFromAI(foodName, unit, controller.signal);
+            fillNutrientFields(data, 'ai');
         } catch (err) {
+            if (isAbortError(err)) return;
             console.error("Gemini API error:", err);
             setError(err.message || "Failed to fetch data.");
             setLookupSuccess(false);
-        } finally { setIsFetching(false); }
+        } finally {
+            if (lookupAbortRef.current === controller) lookupAbortRef.current = null;
+            setIsFetching(false);
+        }
     };
     
-    const handleSuggestMeal = async (mealType) => {
-        if (!mealType) return;
-        const pointRanges = { "Snack": "1-4 points", "Breakfast": "4-8 points", "Lunch": "8-12 points", "Dinner": "10-15 points" };
-        const targetPoints = pointRanges[mealType];
-        const prompt = `I'm on a Weight Watchers-style points system. Suggest 3 diverse and simple ${mealType.toLowerCase()} ideas that are in the ${targetPoints} range. For each suggestion, provide a name and a brief, appealing description. Respond ONLY with a JSON object containing an array called "suggestions".`;
-        const payload = {
-            contents: [{ role: "user", parts: [{ text: prompt }] }],
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: "OBJECT", properties: { "suggestions": { type: "ARRAY", items: { type: "OBJECT", properties: { "name": { "type": "STRING" }, "description": { "type": "STRING" } }, required: ["name", "description"] } } }
-                }
-            }
-        };
-        setIsGenerating(true);
-        setModalContent({ title: `Suggesting a ${mealType}...`, content: <p>Thinking of some tasty ideas...</p> });
-        setIsModalOpen(true);
+    const handleSaveFood = async () => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        if (!nutrientValidation.isValid) { setError("Please fix the nutrient values first."); return; }
+        const food = toSavedFood({ name: foodName, unit, ...nutrientValidation.values, isZeroPoint: zeroPointOverride ?? isZeroPoint, gramWeights });
         try {
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-            if (!response.ok) throw new Error(`API request failed: ${response.status}`);
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]?.text) {
-                const data = JSON.parse(result.candidates[0].content.parts[0].text);
-                const suggestionContent = (<ul className="space-y-4">{data.suggestions.map((s, i) => (<li key={i} className="p-3 bg-gray-50 rounded-lg"><p className="font-bold text-indigo-700">{s.name}</p><p className="text-gray-600 text-sm">{s.description}</p></li>))}</ul>);
-                setModalContent({ title: `${mealType} Suggestions`, content: suggestionContent });
-            } else { throw new Error("Could not generate suggestions."); }
-        } catch (err) { setModalContent({ title: "Error", content: <p className="text-red-500">{err.message}</p> });
-        } finally { setIsGenerating(false); }
+            await setDoc(doc(db, savedFoodsPath(userId), foodDocId(food.name, food.unit)), { ...food, updatedAt: new Date() });
+            nutritionCache.set(food.name, food.unit, food);
+            setLookupSource('saved');
+        } catch (err) { console.error("Error saving food: ", err); setError("Failed to save food to My Foods."); }
     };
-    
-    const handleAnalyzeDay = async () => {
-        if (foodLog.length === 0) { setError("Log at least one food item to get an analysis."); return; }
-        const logSummary = foodLog.map(item => `${item.quantity} ${item.unit} of ${item.name} (${calculatePoints(item)} points)`).join(', ');
-        const prompt = `I am on a Weight Watchers-style points system. My total points today are ${totalPoints}. My food log contains: ${logSummary}. Provide a brief, encouraging analysis of my day's eating. Comment on the balance of my meals and my total points. Offer one positive, actionable suggestion for tomorrow. Keep the tone friendly. Respond with simple text, using markdown for formatting.`;
-        setIsGenerating(true);
-        setModalContent({ title: "Analyzing Your Day...", content: <p>Reviewing your log...</p> });
-        setIsModalOpen(true);
+
+    const handleRemoveSavedFood = async () => {
+        if (!db || !userId || !currentSavedFood) return;
+        try {
+            await deleteDoc(doc(db, savedFoodsPath(userId), currentSavedFood.id));
+        } catch (err) { console.error("Error removing saved food: ", err); setError("Failed to remove food from My Foods."); }
+    };
+
+    // The week leading up to the selected day, for the assistant's context.
+    const loadRecentTrendSummary = async () => {
+        const end = addDays(startOfDay(selectedDate), 1);
+        const range = { start: addDays(end, -7), end };
         try {
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }] }) });
-            if (!response.ok) throw new Error(`API request failed: ${response.status}`);
-            const result = await response.json();
-            if (result.candidates?.[0]?.content?.parts?.[0]?.text) {
-                const analysisText = result.candidates[0].content.parts[0].text.replace(/\n/g, '<br />');
-                setModalContent({ title: "Your Daily Analysis", content: <div className="text-gray-700 leading-relaxed" dangerouslySetInnerHTML={{ __html: analysisText }} /> });
-            } else { throw new Error("Could not generate analysis."); }
-        } catch (err) { setModalContent({ title: "Error", content: <p className="text-red-500">{err.message}</p> });
-        } finally { setIsGenerating(false); }
+            const snapshot = await getDocs(rangeQuery(db, userId, range));
+            const entries = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+            return describeTrends(summarizeDays(entries, { ...range, dailyBudget: budget.dailyPoints }), budget.dailyPoints, selectedDate);
+        } catch (err) {
+            console.error("Could not load recent trend:", err);
+            return null;
+        }
+    };
+
+    // --- AI Assistant ---
+    // Rebuilt for every request so follow-ups see the latest log and points.
+    const buildAssistantContext = async () => buildDayContext({
+        dayLabel: isViewingToday ? 'today' : toDateKey(selectedDate),
+        mealBreakdown: describeMealBreakdown(groupByMeal(foodLog)),
+        totalPoints,
+        budgetStatus,
+        trendSummary: await loadRecentTrendSummary(),
+        weightSummary: describeWeightTrend(weighIns, bodySettings, selectedDate),
+    });
+
+    // The panel's short "suggest some lunch ideas" turn is swapped for the full request.
+    const handleSuggestMeal = async ({ mealId, history, signal }) => {
+        const targetPoints = describePointRange(mealPointRange(mealId, budgetStatus));
+        const request = `Suggest 3 diverse and simple ${mealLabel(mealId).toLowerCase()} ideas that are in the ${targetPoints} range. For each suggestion, provide a name, a brief, appealing description, and estimated nutrients for one serving. Respond ONLY with a JSON object containing an array called "suggestions".`;
+        const contents = toChatContents([...history.slice(0, -1), { role: 'user', text: request }]);
+        const data = await gemini.generateJson({ contents, system: await buildAssistantContext(), schema: MEAL_SUGGESTIONS_SCHEMA, signal });
+        return data.suggestions;
     };
 
+    const handleAssistantReply = async ({ history, signal }) => gemini.generateText({ contents: toChatContents(history), system: await buildAssistantContext(), signal });
+
+    const handleLogSuggestion = async (suggestion, forMeal) => {
+        if (!db || !userId) throw new Error("Database not connected.");
+        const { entry, error } = suggestionToEntry(suggestion, forMeal);
+        if (error) throw new Error(error);
+        await logNewEntry(entry);
+    };
+
+    // An edited entry keeps the formula it was logged with.
     const previewPoints = useMemo(() => {
-        const item = { protein, carbs, fat, fiber, calories, quantity, isZeroPoint };
-        return calculatePoints(item);
-    }, [protein, carbs, fat, fiber, calories, quantity, isZeroPoint]);
+        const item = { name: foodName, protein, carbs, fat, fiber, sugar, saturatedFat, calories, quantity, isZeroPoint, zeroPointOverride };
+        if (editingEntry) {
+            return calculatePoints({ ...editingEntry, ...item, isZeroPoint: isZeroPointFood(item, pointsPlan.zeroPointFoods) });
+        }
+        return calculatePoints(stampEntry(item, pointsPlan));
+    }, [foodName, protein, carbs, fat, fiber, sugar, saturatedFat, calories, quantity, isZeroPoint, zeroPointOverride, pointsPlan, editingEntry]);
+
+    const previewIsZeroPoint = isZeroPointFood({ name: foodName, isZeroPoint, zeroPointOverride }, pointsPlan.zeroPointFoods);
 
     const totalPoints = useMemo(() => foodLog.reduce((total, item) => total + calculatePoints(item), 0), [foodLog]);
 
+    const mealGroups = useMemo(() => groupByMeal(foodLog), [foodLog]);
+
+    const toggleMealSection = (mealId) => setCollapsedMeals((prev) => ({ ...prev, [mealId]: !prev[mealId] }));
+
+    // The selected day comes from its own listener so edits show up there first.
+    const budgetStatus = useMemo(() => {
+        const dailyTotals = {};
+        weekLog.forEach((item) => {
+            const created = toJsDate(item.createdAt);
+            if (!created) return;
+            const key = toDateKey(created);
+            dailyTotals[key] = (dailyTotals[key] || 0) + calculatePoints(item);
+        });
+        dailyTotals[toDateKey(selectedDate)] = totalPoints;
+        return computeBudgetStatus(dailyTotals, selectedDate, budget);
+    }, [weekLog, totalPoints, selectedDate, budget]);
+
+    const handleSaveBudget = async (newBudget) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            await setDoc(doc(db, settingsDocPath(userId, 'budget')), newBudget, { merge: true });
+            setIsModalOpen(false);
+        } catch (err) { console.error("Error saving budget: ", err); setError("Failed to save budget settings."); }
+    };
+
+    const handleSavePointsPlan = async (newPlan) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            await setDoc(doc(db, settingsDocPath(userId, 'points')), newPlan, { merge: true });
+            setIsModalOpen(false);
+        } catch (err) { console.error("Error saving points plan: ", err); setError("Failed to save points plan."); }
+    };
+
+    const openPointsPlanSettings = () => {
+        setModalContent({ title: "Points Plan", content: <PointsPlanForm initialPlan={pointsPlan} onSave={handleSavePointsPlan} onCancel={() => setIsModalOpen(false)} /> });
+        setIsModalOpen(true);
+    };
+
+    const openBudgetSettings = () => {
+        setModalContent({ title: "Points Budget", content: <BudgetSettingsForm initialBudget={budget} onSave={handleSaveBudget} onCancel={() => setIsModalOpen(false)} /> });
+        setIsModalOpen(true);
+    };
+
+    // --- Weigh-Ins (one per day, keyed by date) ---
+    const handleSaveWeighIn = async ({ date, weight, waist }) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            await setDoc(doc(db, weighInsPath(userId), date), { date, weight, waist, unit: bodySettings.weightUnit, updatedAt: new Date() });
+        } catch (err) { console.error("Error saving weigh-in: ", err); setError("Failed to save weigh-in."); }
+    };
+
+    const handleDeleteWeighIn = async (weighInId) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            await deleteDoc(doc(db, weighInsPath(userId), weighInId));
+        } catch (err) { console.error("Error deleting weigh-in: ", err); setError("Failed to delete weigh-in."); }
+    };
+
+    const handleSaveBodySettings = async (changes) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            await setDoc(doc(db, settingsDocPath(userId, 'body')), normalizeBodySettings({ ...bodySettings, ...changes }), { merge: true });
+        } catch (err) { console.error("Error saving body settings: ", err); setError("Failed to save weight settings."); }
+    };
+
+    // Back-filling a past day keeps the entry inside that day's bucket.
+    const logNewEntry = (fields) => {
+        const createdAt = isViewingToday ? new Date() : withTimeOfDay(selectedDate);
+        const docId = doc(collection(db, foodLogPath(userId))).id;
+        return writeLog('add', docId, stampEntry({ ...fields, createdAt }, pointsPlan));
+    };
+
     const handleAddFood = async (e) => {
         e.preventDefault();
-        if (!lookupSuccess) { setError("Please look up a food item first."); return; }
+        if (!foodName.trim()) { setError("Please enter a food name."); return; }
+        if (!nutrientValidation.isValid) { setError(Object.values(nutrientValidation.errors)[0]); return; }
+        const quantityError = validateQuantity(quantity);
+        if (quantityError) { setError(quantityError); return; }
+        if (!db || !userId) { setError("Database not connected."); return; }
+        const fields = { name: foodName.trim(), ...nutrientValidation.values, quantity: parseFloat(quantity), unit, meal, isZeroPoint, zeroPointOverride, gramWeights };
+        try {
+            if (editingEntry) {
+                // Hand-edited nutrients replace a recipe's ingredient-based points basis.
+                const nutrientsChanged = NUTRIENT_KEYS.some((key) => Number(editingEntry[key]) !== fields[key]);
+                const pointsBasis = editingEntry.pointsBasis && nutrientsChanged ? { pointsBasis: null } : {};
+                await writeLog('update', editingEntry.id, { ...fields, ...pointsBasis, isZeroPoint: isZeroPointFood(fields, pointsPlan.zeroPointFoods), updatedAt: new Date() });
+            } else {
+                await logNewEntry(fields);
+            }
+            resetForm();
+        } catch (err) { console.error("Error saving document: ", err); setError(editingEntry ? "Failed to update food item." : "Failed to save food item."); }
+    };
+
+    // --- Recipes ---
+    const handleSaveRecipe = async (recipe, recipeId) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            const data = { ...recipe, updatedAt: new Date() };
+            if (recipeId) await setDoc(doc(db, recipesPath(userId), recipeId), data);
+            else await addDoc(collection(db, recipesPath(userId)), data);
+            setIsModalOpen(false);
+        } catch (err) { console.error("Error saving recipe: ", err); setError("Failed to save recipe."); }
+    };
+
+    const handleDeleteRecipe = async (recipeId) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        try {
+            await deleteDoc(doc(db, recipesPath(userId), recipeId));
+        } catch (err) { console.error("Error deleting recipe: ", err); setError("Failed to delete recipe."); }
+    };
+
+    const lookupIngredient = async (name, forUnit) => {
+        const cached = nutritionCache.get(name, forUnit) || nutritionCache.findConvertible(name, forUnit);
+        if (cached) return cached;
+        if (!navigator.onLine) throw new Error(OFFLINE_LOOKUP_MESSAGE);
+        return fetchNutrientsFromAI(name, forUnit);
+    };
+
+    // Long-lived modals are named rather than captured as elements, so they're
+    // rendered below with live props (saved foods, plan, online status).
+    const openRecipeBuilder = (recipe) => {
+        setModalContent({ title: recipe ? `Edit ${recipe.name}` : "New Recipe", view: 'recipeBuilder', recipe });
+        setIsModalOpen(true);
+    };
+
+    const handleLogRecipe = async (recipe) => {
         if (!db || !userId) { setError("Database not connected."); return; }
-        const newFood = { name: foodName, calories: parseFloat(calories), protein: parseFloat(protein), carbs: parseFloat(carbs), fat: parseFloat(fat), fiber: parseFloat(fiber), quantity: parseFloat(quantity), unit, isZeroPoint, createdAt: new Date() };
+        const servings = parseFloat(recipeServings[recipe.id] ?? 1);
+        const quantityError = validateQuantity(servings);
+        if (quantityError) { setError(quantityError); return; }
         try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            await addDoc(collection(db, `/artifacts/${appId}/users/${userId}/foodLog`), newFood);
-            setFoodName(''); resetNutrientFields(); setQuantity(1); setUnit('serving');
-        } catch (err) { console.error("Error adding document: ", err); setError("Failed to save food item."); }
+            await logNewEntry({ ...toRecipeLogEntry(recipe, servings), meal: recipeMeal });
+            setRecipeServings((prev) => ({ ...prev, [recipe.id]: 1 }));
+        } catch (err) { console.error("Error logging recipe: ", err); setError("Failed to log recipe."); }
+    };
+
+    // --- Photo and Barcode Logging ---
+    const detectFoodsFromPhoto = async (file, note, signal) => {
+        const inlineData = await photoToInlineData(file);
+        const data = await gemini.generateJson({ contents: buildPhotoContents(inlineData, note), schema: PHOTO_ITEMS_SCHEMA, signal });
+        return data.items;
+    };
+
+    const lookupBarcode = (code, signal) => barcodeProvider.lookup(code, { signal });
+
+    // Every item is checked before anything is written. `onLogged` hears about
+    // each item as it is saved; errors are thrown for the scanner to show.
+    const handleLogDetectedItems = async (items, forMeal, onLogged) => {
+        if (!db || !userId) throw new Error("Database not connected.");
+        const results = items.map((item) => toDetectedEntry(item, forMeal));
+        const invalidAt = results.findIndex((result) => result.error);
+        if (invalidAt >= 0) throw new Error(`${String(items[invalidAt].name || '').trim() || 'Unnamed item'}: ${results[invalidAt].error}`);
+        for (let i = 0; i < items.length; i++) {
+            try {
+                await logNewEntry(results[i].entry);
+            } catch (err) {
+                console.error("Error logging scanned items: ", err);
+                throw new Error(i > 0 ? `Added ${i} of ${items.length}. The items still listed were not added.` : "Failed to add the scanned items.");
+            }
+            onLogged(items[i]);
+        }
+        setIsModalOpen(false);
+    };
+
+    const openFoodScanner = () => {
+        setModalContent({ title: "Photo or Barcode", view: 'foodScanner', initialMeal: meal });
+        setIsModalOpen(true);
+    };
+
+    const handleMoveFood = async (item, newMeal) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        if (mealOf(item) === newMeal) return;
+        try {
+            await writeLog('update', item.id, { meal: newMeal });
+        } catch (err) { console.error("Error moving document: ", err); setError("Failed to move food item."); }
     };
 
     const handleDeleteFood = async (foodId) => {
         if (!db || !userId) { setError("Database not connected."); return; }
+        if (editingEntry?.id === foodId) resetForm();
         try {
-            const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            await deleteDoc(doc(db, `/artifacts/${appId}/users/${userId}/foodLog/${foodId}`));
+            await writeLog('delete', foodId);
         } catch (err) { console.error("Error deleting document: ", err); setError("Failed to delete food item."); }
     };
     
-    const handleClearLog = async () => {
+    // Only clears the selected day; earlier days stay in the history.
+    const clearDay = async (items) => {
+        setIsModalOpen(false);
+        for (const item of items) {
+            try { await writeLog('delete', item.id); } catch (err) { console.error("Error clearing log item:", err); setError("Failed to clear this day's log."); }
+        }
+    };
+
+    // Deleting can't be undone, so offer to download the day first.
+    const handleClearLog = () => {
         if (!db || !userId) { setError("Database not connected."); return; }
-        const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-        const foodLogCollectionPath = `/artifacts/${appId}/users/${userId}/foodLog`;
-        const q = query(collection(db, foodLogCollectionPath));
-        const querySnapshot = await getDocs(q);
-        querySnapshot.forEach(async (document) => {
-            try { await deleteDoc(doc(db, foodLogCollectionPath, document.id)); } catch (err) { console.error("Error clearing log item:", err); setError("Failed to clear entire log."); }
+        const items = foodLog;
+        const exportAndClear = () => {
+            downloadFile(exportFileName('log', 'json', selectedDate), exportJson({ entries: items }), 'application/json');
+            clearDay(items);
+        };
+        setModalContent({
+            title: `Clear ${dayLabel}?`,
+            content: (
+                <div className="space-y-4 text-sm">
+                    <p className="text-gray-600">This permanently deletes {items.length} {items.length === 1 ? 'entry' : 'entries'} from {dayLabel}. Download a copy first so you can import it again later.</p>
+                    <button onClick={exportAndClear} className="w-full bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md">Export &amp; Clear</button>
+                    <button onClick={() => clearDay(items)} className="w-full bg-red-50 text-red-600 font-bold py-2 rounded-lg hover:bg-red-100 transition">Clear Without Exporting</button>
+                    <button onClick={() => setIsModalOpen(false)} className="w-full bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition">Cancel</button>
+                </div>
+            ),
         });
+        setIsModalOpen(true);
+    };
+
+    // --- Account ---
+    // Linking keeps the anonymous uid, so everything already logged stays put.
+    const handleUpgradeAccount = async ({ email, password }) => {
+        setAuthUser(describeUser(await upgradeGuestAccount(auth, { email, password })));
+    };
+
+    const handleSignIn = async ({ email, password }) => {
+        resetForm();
+        await signInWithEmailAndPassword(auth, email, password);
+    };
+
+    // Signing out drops back to a fresh guest account.
+    const handleSignOut = async () => {
+        resetForm();
+        await signOut(auth);
+    };
+
+    const handleResetPassword = (email) => sendPasswordResetEmail(auth, email);
+
+    // --- Export and Import ---
+    const loadEntries = async (range) => {
+        const q = range ? rangeQuery(db, userId, range) : collection(db, foodLogPath(userId));
+        const snapshot = await getDocs(q);
+        return snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    };
+
+    const handleExport = async (format) => {
+        if (!db || !userId) { setError("Database not connected."); return; }
+        setIsTransferring(true);
+        try {
+            const entries = await loadEntries();
+            if (entries.length === 0 && (format === 'csv' || savedFoods.length === 0)) { setError("Nothing to export yet."); return; }
+            if (format === 'csv') downloadFile(exportFileName('log', 'csv'), exportLogCsv(entries), 'text/csv');
+            else downloadFile(exportFileName('export', 'json'), exportJson({ entries, savedFoods }), 'application/json');
+        } catch (err) { console.error("Error exporting data: ", err); setError("Failed to export your data.");
+        } finally { setIsTransferring(false); }
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        if (!db || !userId) { setError("Database not connected."); return; }
+        setIsTransferring(true);
+        try {
+            const parsed = parseImportFile(await file.text(), file.name);
+            const existing = parsed.entries.length > 0 ? await loadEntries(entriesDayRange(parsed.entries)) : [];
+            const { fresh, duplicateCount } = dedupeEntries(parsed.entries, existing);
+            const newFoods = dedupeSavedFoods(parsed.savedFoods, savedFoods);
+            for (const entry of fresh) {
+                const docId = doc(collection(db, foodLogPath(userId))).id;
+                // Entries that name their formula keep it; the rest are scored with the current plan.
+                await writeLog('add', docId, entry.formulaId ? { ...entry, isZeroPoint: isZeroPointFood(entry, pointsPlan.zeroPointFoods) } : stampEntry(entry, pointsPlan));
+            }
+            for (const food of newFoods) {
+                await setDoc(doc(db, savedFoodsPath(userId), foodDocId(food.name, food.unit)), { ...food, updatedAt: new Date() });
+            }
+            setModalContent({
+                title: "Import Complete",
+                content: (
+                    <div className="space-y-2 text-sm text-gray-700">
+                        <p>Imported <span className="font-bold">{fresh.length}</span> log {fresh.length === 1 ? 'entry' : 'entries'}{parsed.savedFoods.length > 0 && <> and <span className="font-bold">{newFoods.length}</span> saved foods</>}.</p>
+                        {duplicateCount > 0 && <p className="text-gray-500">Skipped {duplicateCount} {duplicateCount === 1 ? 'entry' : 'entries'} already in your log.</p>}
+                        {parsed.savedFoods.length > newFoods.length && <p className="text-gray-500">Skipped {parsed.savedFoods.length - newFoods.length} saved foods you already have.</p>}
+                        {parsed.errors.length > 0 && (
+                            <div className="bg-red-50 rounded-lg p-3">
+                                <p className="font-semibold text-red-600">{parsed.errors.length} {parsed.errors.length === 1 ? 'row was' : 'rows were'} skipped:</p>
+                                <ul className="list-disc ml-5 mt-1 text-red-600">{parsed.errors.slice(0, 10).map((message) => <li key={message}>{message}</li>)}</ul>
+                                {parsed.errors.length > 10 && <p className="text-red-500 mt-1">...and {parsed.errors.length - 10} more.</p>}
+                            </div>
+                        )}
+                    </div>
+                ),
+            });
+            setIsModalOpen(true);
+        } catch (err) { console.error("Error importing data: ", err); setError(err.message || "Failed to import the file.");
+        } finally { setIsTransferring(false); }
     };
 
     const debouncedSetError = useMemo(() => debounce(setError, 5000), []);
     useEffect(() => { if (error) { debouncedSetError(''); } }, [error, debouncedSetError]);
 
     // --- Render ---
+    const renderModalBody = () => {
+        if (modalContent.view === 'recipeBuilder') {
+            const { recipe } = modalContent;
+            return <RecipeBuilder initialRecipe={recipe} savedFoods={savedFoods} lookupFood={lookupIngredient} pointsPlan={pointsPlan} onSave={(r) => handleSaveRecipe(r, recipe?.id)} onCancel={() => setIsModalOpen(false)} />;
+        }
+        if (modalContent.view === 'foodScanner') {
+            return <FoodScanner pointsPlan={pointsPlan} isOnline={isOnline} detectPhoto={detectFoodsFromPhoto} lookupBarcode={lookupBarcode} barcodeSourceLabel={barcodeProvider.label} initialMeal={modalContent.initialMeal} onConfirm={handleLogDetectedItems} onCancel={() => setIsModalOpen(false)} />;
+        }
+        return modalContent.content;
+    };
+
     return (
         <div className="bg-gray-50 min-h-screen font-sans text-gray-800 antialiased">
             <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title={modalContent.title}>
-                {modalContent.content}
+                {renderModalBody()}
             </Modal>
             <div className="container mx-auto p-4 sm:p-6 lg:p-8 max-w-4xl">
                 <header className="text-center mb-8">
                     <h1 className="text-4xl sm:text-5xl font-bold text-blue-600">Smart Points Tracker</h1>
                     <p className="text-gray-500 mt-2">Your AI-powered daily food logging assistant.</p>
+                    <p className={`inline-flex items-center gap-2 mt-3 text-xs font-semibold px-3 py-1 rounded-full ${syncStatus === 'offline' ? 'bg-amber-100 text-amber-800' : syncStatus === 'syncing' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`} role="status">
+                        <span className={`w-2 h-2 rounded-full ${syncStatus === 'offline' ? 'bg-amber-500' : syncStatus === 'syncing' ? 'bg-blue-500 animate-pulse' : 'bg-green-500'}`}></span>
+                        {syncStatus === 'offline' ? `Offline${hasPendingWrites ? ' \u00b7 changes waiting to sync' : ''}` : syncStatus === 'syncing' ? 'Syncing changes...' : 'All changes synced'}
+                    </p>
                 </header>
 
                 {error && <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md shadow-sm" role="alert"><p>{error}</p></div>}
 
+                <div className="flex justify-center gap-2 mb-6" role="tablist">
+                    {[{ id: 'log', label: 'Daily Log' }, { id: 'trends', label: 'Trends' }, { id: 'settings', label: 'Settings' }].map((tab) => (
+                        <button key={tab.id} role="tab" aria-selected={view === tab.id} onClick={() => setView(tab.id)} className={`font-semibold px-4 py-2 rounded-full transition ${view === tab.id ? 'bg-blue-600 text-white shadow-md' : 'bg-white text-gray-600 hover:bg-gray-100'}`}>{tab.label}</button>
+                    ))}
+                </div>
+
                 <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                     <div className="lg:col-span-1 space-y-8">
                         <div className="bg-white p-6 rounded-2xl shadow-lg">
-                            <h2 className="text-2xl font-semibold mb-4 border-b pb-3 text-gray-700">Log a Food Item</h2>
+                            <h2 className="text-2xl font-semibold mb-4 border-b pb-3 text-gray-700">{editingEntry ? 'Edit Food Item' : 'Log a Food Item'}</h2>
+                            {!isViewingToday && !editingEntry && <p className="text-sm text-amber-700 bg-amber-50 rounded-md p-2 mb-4">Adding entries to {dayLabel}.</p>}
                             <form onSubmit={handleAddFood} className="space-y-4">
-                                <input type="text" placeholder="Food Name (e.g., 'banana')" value={foodName} onChange={(e) => setFoodName(e.target.value)} className="w-full p-3 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500" />
+                                <div className="relative">
+                                    <input type="text" placeholder="Food Name (e.g., 'banana')" value={foodName} onChange={(e) => handleFoodNameChange(e.target.value)} onFocus={() => setShowFoodSuggestions(true)} onBlur={() => setTimeout(() => setShowFoodSuggestions(false), 150)} autoComplete="off" className="w-full p-3 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500" />
+                                    {showFoodSuggestions && foodSuggestions.length > 0 && !lookupSuccess && (
+                                        <ul className="absolute z-10 mt-1 w-full bg-white border rounded-lg shadow-lg overflow-hidden">
+                                            {foodSuggestions.map((food) => (
+                                                <li key={food.id}>
+                                                    <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => handlePickSavedFood(food)} className="w-full text-left px-3 py-2 hover:bg-blue-50 transition">
+                                                        <span className="font-medium text-gray-800">{food.name}</span>
+                                                        <span className="text-xs text-gray-500"> &middot; per {food.unit} &middot; {food.calories} cal</span>
+                                                    </button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
                                 <div className="flex gap-3">
                                     <input type="number" placeholder="Qty" value={quantity} onChange={(e) => setQuantity(e.target.value)} min="0.01" step="0.01" className="w-1/3 p-3 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500" />
-                                    <select value={unit} onChange={(e) => setUnit(e.target.value)} className="w-2/3 p-3 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500">
-                                        <option>serving</option><option>item</option><option>g</option><option>oz</option><option>lb</option><option>cup</option><option>TBSP</option><option>TSP</option><option>slice</option>
+                                    <select value={unit} onChange={(e) => handleUnitChange(e.target.value)} className="w-2/3 p-3 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500">
+                                        {FOOD_UNITS.map((u) => <option key={u}>{u}</option>)}
                                     </select>
                                 </div>
-                                <button type="button" onClick={handleFoodLookup} disabled={isFetching || !foodName.trim()} className="w-full bg-indigo-600 text-white font-bold py-3 rounded-lg hover:bg-indigo-700 transition shadow-md disabled:bg-indigo-300">
+                                <select value={meal} onChange={(e) => setMeal(e.target.value)} aria-label="Meal" className="w-full p-3 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500">
+                                    {MEALS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                </select>
+                                <button type="button" onClick={() => handleFoodLookup()} disabled={isFetching || !foodName.trim()} className="w-full bg-indigo-600 text-white font-bold py-3 rounded-lg hover:bg-indigo-700 transition shadow-md disabled:bg-indigo-300">
                                     {isFetching ? 'Looking up...' : 'Look Up Food'}
                                 </button>
+                                {!editingEntry && <button type="button" onClick={openFoodScanner} className="w-full bg-indigo-50 text-indigo-700 font-bold py-2 rounded-lg hover:bg-indigo-100 transition">📷 Log from a Photo or Barcode</button>}
                                 <div className={`p-4 rounded-lg transition-all ${lookupSuccess ? 'bg-green-50' : 'bg-gray-50'}`}>
                                     <p className="text-sm text-gray-500 mb-3">Nutritional Info (per unit):</p>
                                     <div className="space-y-2 text-sm">
-                                        <div className="flex justify-between items-center bg-white p-2 rounded-md"><span className="font-medium text-gray-600">Calories</span><span className="font-bold text-gray-800">{calories || '...'}</span></div>
-                                        <div className="flex justify-between items-center bg-white p-2 rounded-md"><span className="font-medium text-gray-600">Protein</span><span className="font-bold text-gray-800">{protein || '...'} g</span></div>
-                                        <div className="flex justify-between items-center bg-white p-2 rounded-md"><span className="font-medium text-gray-600">Carbs</span><span className="font-bold text-gray-800">{carbs || '...'} g</span></div>
-                                        <div className="flex justify-between items-center bg-white p-2 rounded-md"><span className="font-medium text-gray-600">Fat</span><span className="font-bold text-gray-800">{fat || '...'} g</span></div>
-                                        <div className="flex justify-between items-center bg-white p-2 rounded-md"><span className="font-medium text-gray-600">Fiber</span><span className="font-bold text-gray-800">{fiber || '...'} g</span></div>
+                                        {NUTRIENT_FIELDS.map(({ key, label, suffix }) => (
+                                            <div key={key}>
+                                                <label className="flex justify-between items-center bg-white p-2 rounded-md">
+                                                    <span className="font-medium text-gray-600">{label}</span>
+                                                    <span className="flex items-center gap-1">
+                                                        <input type="number" inputMode="decimal" min="0" step="any" placeholder="..." value={nutrientInputs[key][0]} onChange={(e) => handleNutrientChange(key, e.target.value)} className={`w-20 text-right font-bold text-gray-800 bg-gray-50 rounded px-1 border focus:ring-2 focus:ring-blue-500 ${nutrientInputs[key][0] !== '' && nutrientValidation.errors[key] ? 'border-red-400' : ''}`} />
+                                                        <span className="w-3 text-gray-500">{suffix}</span>
+                                                    </span>
+                                                </label>
+                                                {nutrientInputs[key][0] !== '' && nutrientValidation.errors[key] && <p className="text-xs text-red-500 text-right mt-1">{nutrientValidation.errors[key]}</p>}
+                                            </div>
+                                        ))}
+                                        {describeGramWeights(gramWeights) && <p className="text-xs text-gray-500 px-1">{describeGramWeights(gramWeights)}</p>}
+                                        <label className="flex items-center gap-2 bg-white p-2 rounded-md">
+                                            <input type="checkbox" checked={previewIsZeroPoint} onChange={(e) => handleZeroPointOverride(e.target.checked)} />
+                                            <span className="font-medium text-gray-600">Zero-point food</span>
+                                        </label>
                                     </div>
-                                    {lookupSuccess && <p className={`mt-3 text-center font-semibold rounded-md p-2 ${isZeroPoint ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>{isZeroPoint ? 'Zero-Point Food!' : 'This food has points.'}</p>}
+                                    {nutrientValidation.isValid && <p className={`mt-3 text-center font-semibold rounded-md p-2 ${previewIsZeroPoint ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>{previewIsZeroPoint ? 'Zero-Point Food!' : 'This food has points.'}</p>}
+                                    {nutrientValidation.isValid && (
+                                        <div className="mt-3 flex justify-between items-center text-xs">
+                                            <span className="text-gray-500">{lookupSource === 'saved' ? 'From My Foods' : lookupSource === 'cache' ? 'From a previous lookup' : lookupSource === 'ai' ? 'From AI lookup' : 'Entered manually'}</span>
+                                            <div className="flex gap-3">
+                                                {lookupSource !== 'ai' && <button type="button" onClick={() => handleFoodLookup({ skipCache: true })} disabled={isFetching} className="text-indigo-600 hover:text-indigo-800 font-semibold transition">Ask AI again</button>}
+                                                {currentSavedFood && lookupSource === 'saved'
+                                                    ? <button type="button" onClick={handleRemoveSavedFood} className="text-red-500 hover:text-red-700 font-semibold transition">Remove from My Foods</button>
+                                                    : <button type="button" onClick={handleSaveFood} className="text-blue-600 hover:text-blue-800 font-semibold transition">&#9733; Save to My Foods</button>}
+                                            </div>
+                                        </div>
+                                    )}
                                 </div>
                                 
-                                {lookupSuccess && (
+                                {nutrientValidation.isValid && (
                                     <div className="border-t pt-4 mt-4">
                                         <p className="text-center font-semibold text-gray-600 mb-2">Log Preview</p>
                                         <div className="flex items-center justify-between bg-white p-4 rounded-xl shadow-sm border">
@@ -338,61 +1028,173 @@ export default function App() {
                                                 <p className="font-bold text-lg text-gray-800">{foodName}</p>
                                                 <p className="text-sm text-gray-600 font-medium">{quantity} {unit}</p>
                                             </div>
-                                            <span className={`text-xl font-bold px-3 py-1 rounded-full ${isZeroPoint ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>{previewPoints}</span>
+                                            <span className={`text-xl font-bold px-3 py-1 rounded-full ${previewIsZeroPoint ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>{previewPoints}</span>
                                         </div>
                                     </div>
                                 )}
                                 
-                                <button type="submit" disabled={!lookupSuccess || isFetching} className="w-full bg-blue-600 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">Add to Log</button>
+                                <button type="submit" disabled={!nutrientValidation.isValid || !foodName.trim() || isFetching} className="w-full bg-blue-600 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{editingEntry ? 'Save Changes' : 'Add to Log'}</button>
+                                {editingEntry && <button type="button" onClick={resetForm} className="w-full bg-gray-100 text-gray-700 font-bold py-3 rounded-lg hover:bg-gray-200 transition">Cancel Edit</button>}
                             </form>
                         </div>
                         
+                        <div className="bg-white p-6 rounded-2xl shadow-lg space-y-4">
+                            <div className="flex justify-between items-center border-b pb-3">
+                                <h2 className="text-2xl font-semibold text-gray-700">Recipes</h2>
+                                <button onClick={() => openRecipeBuilder(null)} className="text-sm text-blue-600 hover:text-blue-800 font-semibold transition">+ New</button>
+                            </div>
+                            {recipes.length === 0 ? <p className="text-sm text-gray-400 text-center">Save a dish you cook often to log it in one step.</p> : (<>
+                                <label className="flex items-center gap-2 text-sm text-gray-500">Log to
+                                    <select value={recipeMeal} onChange={(e) => setRecipeMeal(e.target.value)} className="flex-1 p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500">
+                                        {MEALS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                    </select>
+                                </label>
+                                <ul className="space-y-3">
+                                    {recipes.map((recipe) => (
+                                        <li key={recipe.id} className="border rounded-xl p-3">
+                                            <div className="flex justify-between items-center">
+                                                <button onClick={() => openRecipeBuilder(recipe)} className="font-bold text-gray-800 hover:text-blue-600 transition text-left">{recipe.name}</button>
+                                                <span className="text-sm font-semibold text-blue-700 bg-blue-50 px-2 py-1 rounded-full">{calculatePoints(stampEntry(toRecipeLogEntry(recipe, 1), pointsPlan))} pts/srv</span>
+                                            </div>
+                                            <p className="text-xs text-gray-500 mt-1">{recipe.ingredients?.length || 0} ingredients &middot; makes {recipe.servings} servings</p>
+                                            <div className="flex items-center gap-2 mt-2">
+                                                <input type="number" min="0.25" step="0.25" value={recipeServings[recipe.id] ?? 1} onChange={(e) => setRecipeServings((prev) => ({ ...prev, [recipe.id]: e.target.value }))} aria-label={`Servings of ${recipe.name}`} className="w-20 p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500" />
+                                                <span className="text-sm text-gray-500">servings</span>
+                                                <button onClick={() => handleLogRecipe(recipe)} className="ml-auto bg-blue-600 text-white text-sm font-bold px-3 py-2 rounded-lg hover:bg-blue-700 transition">Log</button>
+                                                <button onClick={() => handleDeleteRecipe(recipe.id)} className="text-gray-400 hover:text-red-500 transition" aria-label={`Delete ${recipe.name}`}>&times;</button>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>)}
+                        </div>
+
                         <div className="bg-white p-6 rounded-2xl shadow-lg space-y-4">
                             <h2 className="text-2xl font-semibold text-center text-gray-700">AI Assistant</h2>
-                            <div className="space-y-3">
-                                <button onClick={() => handleSuggestMeal(prompt("What meal are you looking for? (Breakfast, Lunch, Dinner, Snack)"))} disabled={isGenerating} className="w-full flex items-center justify-center gap-2 bg-purple-600 text-white font-bold py-3 rounded-lg hover:bg-purple-700 transition shadow-md disabled:bg-purple-300">✨ Suggest a Meal</button>
-                                <button onClick={handleAnalyzeDay} disabled={isGenerating || foodLog.length === 0} className="w-full flex items-center justify-center gap-2 bg-teal-500 text-white font-bold py-3 rounded-lg hover:bg-teal-600 transition shadow-md disabled:bg-teal-300">✨ Analyze My Day</button>
+                            <AssistantPanel isOnline={isOnline} canAnalyze={foodLog.length > 0} defaultMeal={defaultMealForTime()} pointsPlan={pointsPlan} onSuggest={handleSuggestMeal} onReply={handleAssistantReply} onLogSuggestion={handleLogSuggestion} />
+                        </div>
+
+                        <div className="bg-white p-6 rounded-2xl shadow-lg space-y-4">
+                            <h2 className="text-2xl font-semibold text-center text-gray-700">Your Data</h2>
+                            <p className="text-sm text-gray-500 text-center">Download your log, or import an export from another session.</p>
+                            <div className="flex gap-3">
+                                <button onClick={() => handleExport('csv')} disabled={isTransferring} className="w-1/2 bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition disabled:opacity-50">Export CSV</button>
+                                <button onClick={() => handleExport('json')} disabled={isTransferring} className="w-1/2 bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition disabled:opacity-50">Export JSON</button>
                             </div>
+                            <p className="text-xs text-gray-500 text-center">CSV leaves out recipe ingredients, so recipes imported from it are scored on their totals, zero-point ingredients included. Use JSON to keep everything.</p>
+                            <label className={`block w-full text-center bg-blue-600 text-white font-bold py-2 rounded-lg transition shadow-md ${isTransferring ? 'bg-blue-300' : 'hover:bg-blue-700 cursor-pointer'}`}>
+                                {isTransferring ? 'Working...' : 'Import CSV or JSON'}
+                                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImportFile} disabled={isTransferring} className="hidden" />
+                            </label>
                         </div>
 
                         <div className="bg-white p-6 rounded-2xl shadow-lg text-center">
-                             <h2 className="text-2xl font-semibold mb-2 text-gray-700">Total Points Today</h2>
-                             <p className="text-5xl font-bold text-blue-600">{totalPoints}</p>
+                             <h2 className="text-2xl font-semibold mb-2 text-gray-700">{isViewingToday ? 'Total Points Today' : `Total Points (${dayLabel})`}</h2>
+                             <p className={`text-5xl font-bold ${totalPoints > budgetStatus.dailyPoints ? 'text-amber-600' : 'text-blue-600'}`}>{totalPoints}<span className="text-2xl text-gray-400"> / {budgetStatus.dailyPoints}</span></p>
+                             <p className="text-gray-600 mt-2"><span className="font-bold">{budgetStatus.dailyRemaining}</span> daily points remaining</p>
+                             <div className="mt-4 text-left">
+                                 <div className="flex justify-between text-sm text-gray-600 mb-1"><span>Weekly allowance</span><span className="font-semibold">{budgetStatus.weeklyRemaining} / {budgetStatus.weeklyTotal} left</span></div>
+                                 <div className="w-full bg-gray-200 rounded-full h-2"><div className={`h-2 rounded-full ${budgetStatus.isOverWeekly ? 'bg-red-500' : 'bg-teal-500'}`} style={{ width: `${budgetStatus.weeklyTotal > 0 ? Math.min(100, (budgetStatus.weeklyUsed / budgetStatus.weeklyTotal) * 100) : 100}%` }}></div></div>
+                                 {budgetStatus.rolledOver > 0 && <p className="text-xs text-gray-400 mt-1">Includes {budgetStatus.rolledOver} rolled-over points.</p>}
+                                 {budgetStatus.isOverWeekly && <p className="text-xs text-red-500 mt-1">Over the weekly allowance by {budgetStatus.weeklyUsed - budgetStatus.weeklyTotal} points.</p>}
+                             </div>
+                             <div className="mt-4 flex justify-center gap-4">
+                                 <button onClick={openBudgetSettings} className="text-sm text-blue-600 hover:text-blue-800 font-semibold transition">Edit Budget</button>
+                                 <button onClick={openPointsPlanSettings} className="text-sm text-blue-600 hover:text-blue-800 font-semibold transition">Points Plan</button>
+                             </div>
                         </div>
                     </div>
 
-                    <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-lg">
-                        <div className="flex justify-between items-center border-b pb-3 mb-4">
-                            <h2 className="text-2xl font-semibold text-gray-700">Today's Log</h2>
-                            <button onClick={handleClearLog} className="text-sm text-red-500 hover:text-red-700 font-semibold transition disabled:opacity-50" disabled={foodLog.length === 0}>Clear All</button>
+                    {view === 'settings' ? (
+                        <div className="lg:col-span-2 space-y-8">
+                            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                                <h2 className="text-2xl font-semibold mb-4 border-b pb-3 text-gray-700">Account</h2>
+                                <AccountPanel user={authUser} onUpgrade={handleUpgradeAccount} onSignIn={handleSignIn} onSignOut={handleSignOut} onResetPassword={handleResetPassword} />
+                            </div>
+                            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                                <h2 className="text-2xl font-semibold mb-4 border-b pb-3 text-gray-700">Points Budget</h2>
+                                <BudgetSettingsForm key={JSON.stringify(budget)} initialBudget={budget} onSave={handleSaveBudget} />
+                            </div>
+                            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                                <h2 className="text-2xl font-semibold mb-4 border-b pb-3 text-gray-700">Points Plan</h2>
+                                <PointsPlanForm key={JSON.stringify(pointsPlan)} initialPlan={pointsPlan} onSave={handleSavePointsPlan} />
+                            </div>
                         </div>
-                        <div className="space-y-3 max-h-[75vh] overflow-y-auto pr-2">
-                            {isLoading ? <p className="text-center text-gray-500 py-8">Loading your log...</p> : foodLog.length === 0 ? (
-                                <div className="text-center py-10 px-4 bg-gray-50 rounded-lg"><p className="text-gray-500">Your food log is empty.</p><p className="text-sm text-gray-400 mt-1">Look up a food item to get started!</p></div>
-                            ) : (
-                                foodLog.slice().sort((a, b) => new Date(b.createdAt?.toDate()) - new Date(a.createdAt?.toDate())).map(item => (
-                                    <div key={item.id} className="flex items-center justify-between bg-white p-4 rounded-xl shadow-sm border hover:shadow-md transition-shadow">
-                                        <div>
-                                            <p className="font-bold text-lg text-gray-800">{item.name}</p>
-                                            <p className="text-sm text-gray-600 font-medium">{item.quantity} {item.unit}</p>
-                                            <p className="text-xs text-gray-500 mt-1">
-                                                Cal: {item.calories} | P: {item.protein}g | C: {item.carbs}g | F: {item.fat}g | Fb: {item.fiber}g
-                                            </p>
-                                        </div>
-                                        <div className="flex items-center space-x-4">
-                                            <span className={`text-xl font-bold px-3 py-1 rounded-full ${item.isZeroPoint ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>{calculatePoints(item)}</span>
-                                            <button onClick={() => handleDeleteFood(item.id)} className="text-gray-400 hover:text-red-500 transition">
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm4 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" /></svg>
+                    ) : view === 'trends' ? (
+                        <div className="lg:col-span-2 space-y-8">
+                            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                                <TrendsDashboard entries={trendLog} range={trendRange} dailyBudget={budget.dailyPoints} weekStartsOn={budget.weekStartsOn} rangeDays={trendRangeDays} onRangeChange={setTrendRangeDays} isLoading={isTrendLoading} weighIns={weighInsInRange(weighIns, trendRange)} weightUnit={bodySettings.weightUnit} goalWeight={bodySettings.goalWeight} />
+                            </div>
+                            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                                <WeightTracker weighIns={weighIns} settings={bodySettings} onSaveWeighIn={handleSaveWeighIn} onDeleteWeighIn={handleDeleteWeighIn} onSaveSettings={handleSaveBodySettings} />
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="lg:col-span-2 bg-white p-6 rounded-2xl shadow-lg">
+                            <div className="flex justify-between items-center border-b pb-3 mb-4">
+                                <h2 className="text-2xl font-semibold text-gray-700">{isViewingToday ? "Today's Log" : `${dayLabel}'s Log`}</h2>
+                                <button onClick={handleClearLog} className="text-sm text-red-500 hover:text-red-700 font-semibold transition disabled:opacity-50" disabled={foodLog.length === 0}>Clear Day</button>
+                            </div>
+                            <div className="flex items-center justify-between gap-2 mb-4">
+                                <button onClick={() => changeDay(-1)} className="px-3 py-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition font-semibold" aria-label="Previous day">&larr;</button>
+                                <div className="flex items-center gap-2">
+                                    <input type="date" value={toDateKey(selectedDate)} max={toDateKey(new Date())} onChange={handleDateInput} className="p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500" />
+                                    {!isViewingToday && <button onClick={() => setSelectedDate(startOfDay(new Date()))} className="text-sm text-blue-600 hover:text-blue-800 font-semibold transition">Today</button>}
+                                </div>
+                                <button onClick={() => changeDay(1)} disabled={isViewingToday} className="px-3 py-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition font-semibold disabled:opacity-50" aria-label="Next day">&rarr;</button>
+                            </div>
+                            <div className="space-y-3 max-h-[75vh] overflow-y-auto pr-2">
+                                {isLoading ? <p className="text-center text-gray-500 py-8">Loading your log...</p> : foodLog.length === 0 ? (
+                                    <div className="text-center py-10 px-4 bg-gray-50 rounded-lg"><p className="text-gray-500">{isViewingToday ? 'Your food log is empty.' : `Nothing was logged on ${dayLabel}.`}</p><p className="text-sm text-gray-400 mt-1">Look up a food item to get started!</p></div>
+                                ) : (
+                                    mealGroups.map(group => (
+                                        <section key={group.id}>
+                                            <button onClick={() => toggleMealSection(group.id)} aria-expanded={!collapsedMeals[group.id]} className="w-full flex justify-between items-center py-2 px-1 text-left">
+                                                <span className="text-lg font-semibold text-gray-700">{collapsedMeals[group.id] ? '\u25B8' : '\u25BE'} {group.label} <span className="text-sm font-normal text-gray-400">({group.items.length})</span></span>
+                                                <span className="text-sm font-semibold text-blue-700 bg-blue-50 px-2 py-1 rounded-full">{group.points} pts</span>
                                             </button>
-                                        </div>
-                                    </div>
-                                ))
-                            )}
+                                            {!collapsedMeals[group.id] && (
+                                                <div className="space-y-3 mt-1">
+                                                    {group.items.length === 0 ? <p className="text-sm text-gray-400 px-1">Nothing logged.</p> : group.items.map(item => (
+                                                        <div key={item.id} className={`flex items-center justify-between bg-white p-4 rounded-xl shadow-sm border hover:shadow-md transition-shadow ${editingEntry?.id === item.id ? 'ring-2 ring-blue-400' : ''}`}>
+                                                            <div>
+                                                                <p className="font-bold text-lg text-gray-800">{item.name}</p>
+                                                                <p className="text-sm text-gray-600 font-medium">{formatAmount(item.quantity)} {item.unit}{item.isPending && <span className="ml-2 text-xs text-amber-600">(waiting to sync)</span>}</p>
+                                                                {item.ingredients?.length > 0 && (
+                                                                    <details className="text-xs text-gray-500 mt-1">
+                                                                        <summary className="cursor-pointer">Recipe &middot; {item.ingredients.length} ingredients</summary>
+                                                                        <ul className="mt-1 ml-3 list-disc">{item.ingredients.map((ingredient, i) => <li key={i}>{ingredient.quantity} {ingredient.unit} {ingredient.name}</li>)}</ul>
+                                                                    </details>
+                                                                )}
+                                                                <p className="text-xs text-gray-500 mt-1">
+                                                                    Cal: {formatAmount(item.calories)} | P: {formatAmount(item.protein)}g | C: {formatAmount(item.carbs)}g | F: {formatAmount(item.fat)}g | Fb: {formatAmount(item.fiber)}g{item.sugar !== undefined && ` | S: ${formatAmount(item.sugar)}g`}{item.saturatedFat !== undefined && ` | SF: ${formatAmount(item.saturatedFat)}g`}
+                                                                </p>
+                                                            </div>
+                                                            <div className="flex items-center space-x-4">
+                                                                <select value={group.id} onChange={(e) => handleMoveFood(item, e.target.value)} aria-label={`Move ${item.name} to another meal`} className="text-xs p-1 bg-gray-100 rounded border">
+                                                                    {MEALS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                                                </select>
+                                                                <span className={`text-xl font-bold px-3 py-1 rounded-full ${item.isZeroPoint ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'}`}>{calculatePoints(item)}</span>
+                                                                <button onClick={() => handleEditFood(item)} className="text-gray-400 hover:text-blue-500 transition" aria-label={`Edit ${item.name}`}>
+                                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" /></svg>
+                                                                </button>
+                                                                <button onClick={() => handleDeleteFood(item.id)} className="text-gray-400 hover:text-red-500 transition" aria-label={`Delete ${item.name}`}>
+                                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm4 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" /></svg>
+                                                                </button>
+                                                            </div>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            )}
+                                        </section>
+                                    ))
+                                )}
+                            </div>
                         </div>
-                    </div>
+                    )}
                 </div>
                  <footer className="text-center mt-8 text-sm text-gray-400">
-                    <p>User ID: <span className="font-mono bg-gray-200 px-1 rounded">{userId || 'Connecting...'}</span></p>
+                    <p>{authUser?.email ? <>Signed in as <span className="font-semibold">{authUser.email}</span> &middot; </> : authUser ? <>Guest account &middot; </> : null}User ID: <span className="font-mono bg-gray-200 px-1 rounded">{userId || 'Connecting...'}</span></p>
                     <p className="mt-2">Disclaimer: This is a tool for theoretical point estimation. Nutritional data and AI suggestions are provided for informational purposes and may not be 100% accurate.</p>
                 </footer>
             </div>
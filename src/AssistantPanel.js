@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { calculatePoints, stampEntry } from './pointsRules';
+import { isAbortError } from './geminiClient';
+import { MEALS, mealLabel } from './meals';
+import { suggestionToEntry } from './assistant';
+import Markdown from './Markdown';
+
+const ANALYZE_REQUEST = "Give me a brief, encouraging analysis of this day's eating. Comment on the balance of my meals and my total points, and on my weight trend if you know it. Offer one positive, actionable suggestion for tomorrow.";
+
+// --- AI Assistant Panel ---
+// Meal suggestions, the day analysis and follow-up questions share one
+// conversation. `onSuggest` resolves to suggestions; `onReply` to markdown text.
+export default function AssistantPanel({ isOnline, canAnalyze, defaultMeal, pointsPlan, onSuggest, onReply, onLogSuggestion }) {
+    const [history, setHistory] = useState([]);
+    const [mealId, setMealId] = useState(defaultMeal);
+    const [question, setQuestion] = useState('');
+    const [isThinking, setIsThinking] = useState(false);
+    const [error, setError] = useState('');
+    const [loggedKeys, setLoggedKeys] = useState({});
+    const abortRef = useRef(null);
+    const endRef = useRef(null);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+    useEffect(() => { endRef.current?.scrollIntoView?.({ block: 'nearest' }); }, [history, isThinking]);
+
+    // Adds the user's turn, then the model's; a failed request leaves the history as it was.
+    const runTurn = async (userTurn, request) => {
+        abortRef.current?.abort();
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError('');
+        setIsThinking(true);
+        const withUser = [...history, userTurn];
+        setHistory(withUser);
+        try {
+            const modelTurn = await request(withUser, controller.signal);
+            setHistory([...withUser, modelTurn]);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            setHistory(history);
+            console.error("Assistant error:", err);
+            setError(err.message || 'The assistant could not answer.');
+        } finally {
+            if (abortRef.current === controller) abortRef.current = null;
+            setIsThinking(false);
+        }
+    };
+
+    const handleSuggest = () => {
+        const forMeal = mealId;
+        runTurn({ role: 'user', text: `Suggest some ${mealLabel(forMeal).toLowerCase()} ideas that fit my points.` }, async (turns, signal) => {
+            const suggestions = await onSuggest({ mealId: forMeal, history: turns, signal });
+            return { role: 'model', suggestions, mealId: forMeal };
+        });
+    };
+
+    const handleAnalyze = () => runTurn({ role: 'user', text: ANALYZE_REQUEST, label: 'Analyze my day' }, async (turns, signal) => ({ role: 'model', text: await onReply({ history: turns, signal }) }));
+
+    const handleAsk = (e) => {
+        e.preventDefault();
+        const text = question.trim();
+        if (!text) return;
+        setQuestion('');
+        runTurn({ role: 'user', text }, async (turns, signal) => ({ role: 'model', text: await onReply({ history: turns, signal }) }));
+    };
+
+    const handleLog = async (suggestion, forMeal, key) => {
+        setLoggedKeys((prev) => ({ ...prev, [key]: 'saving' }));
+        try {
+            await onLogSuggestion(suggestion, forMeal);
+            setLoggedKeys((prev) => ({ ...prev, [key]: 'logged' }));
+        } catch (err) {
+            console.error("Error logging suggestion:", err);
+            setLoggedKeys((prev) => ({ ...prev, [key]: undefined }));
+            setError('Could not log that suggestion.');
+        }
+    };
+
+    const startOver = () => {
+        abortRef.current?.abort();
+        setHistory([]); setLoggedKeys({}); setError('');
+    };
+
+    const isDisabled = isThinking || !isOnline;
+
+    return (
+        <div className="space-y-4 text-sm">
+            <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Meal to suggest">
+                {MEALS.map((m) => (
+                    <button key={m.id} type="button" role="radio" aria-checked={mealId === m.id} onClick={() => setMealId(m.id)} className={`text-xs font-semibold px-3 py-1 rounded-full transition ${mealId === m.id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}>{m.label}</button>
+                ))}
+            </div>
+            <button onClick={handleSuggest} disabled={isDisabled} className="w-full flex items-center justify-center gap-2 bg-purple-600 text-white font-bold py-3 rounded-lg hover:bg-purple-700 transition shadow-md disabled:bg-purple-300">✨ Suggest a {mealLabel(mealId)}</button>
+            <button onClick={handleAnalyze} disabled={isDisabled || !canAnalyze} className="w-full flex items-center justify-center gap-2 bg-teal-500 text-white font-bold py-3 rounded-lg hover:bg-teal-600 transition shadow-md disabled:bg-teal-300">✨ Analyze My Day</button>
+            {!isOnline && <p className="text-xs text-amber-700 text-center">The assistant needs a connection.</p>}
+
+            {history.length > 0 && (
+                <div className="border-t pt-4 space-y-3 max-h-[50vh] overflow-y-auto pr-1" aria-live="polite">
+                    {history.map((turn, i) => {
+                        if (turn.role === 'user') {
+                            return <p key={i} className="ml-8 bg-blue-50 text-blue-900 rounded-lg p-2">{turn.label || turn.text}</p>;
+                        }
+                        if (turn.suggestions) {
+                            return (
+                                <ul key={i} className="space-y-2">
+                                    {turn.suggestions.map((s, j) => {
+                                        const key = `${i}-${j}`;
+                                        const { entry, error: entryError } = suggestionToEntry(s, turn.mealId);
+                                        return (
+                                            <li key={key} className="p-3 bg-gray-50 rounded-lg">
+                                                <div className="flex justify-between items-start gap-2">
+                                                    <p className="font-bold text-indigo-700">{s.name}</p>
+                                                    {entry && <span className="text-xs font-semibold text-blue-700 bg-blue-100 px-2 py-1 rounded-full whitespace-nowrap">{calculatePoints(stampEntry(entry, pointsPlan))} pts</span>}
+                                                </div>
+                                                <p className="text-gray-600">{s.description}</p>
+                                                {entry ? (
+                                                    <div className="flex justify-between items-center mt-2 text-xs">
+                                                        <span className="text-gray-400">~{Math.round(entry.calories)} cal &middot; P {Math.round(entry.protein)}g &middot; C {Math.round(entry.carbs)}g &middot; F {Math.round(entry.fat)}g</span>
+                                                        {loggedKeys[key] === 'logged'
+                                                            ? <span className="text-green-600 font-semibold">Logged</span>
+                                                            : <button onClick={() => handleLog(s, turn.mealId, key)} disabled={loggedKeys[key] === 'saving'} className="text-blue-600 hover:text-blue-800 font-semibold transition disabled:opacity-50">Log this</button>}
+                                                    </div>
+                                                ) : <p className="mt-2 text-xs text-amber-700">Can't log this. {entryError}</p>}
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            );
+                        }
+                        return <div key={i} className="mr-4"><Markdown text={turn.text} /></div>;
+                    })}
+                    {isThinking && <p className="text-gray-400">Thinking...</p>}
+                    <div ref={endRef} />
+                </div>
+            )}
+
+            {error && <p className="text-red-500">{error}</p>}
+
+            <form onSubmit={handleAsk} className="flex gap-2">
+                <input type="text" placeholder={history.length > 0 ? 'Ask a follow-up question...' : 'Ask about your day...'} value={question} onChange={(e) => setQuestion(e.target.value)} disabled={!isOnline} className="flex-1 p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500" />
+                <button type="submit" disabled={isDisabled || !question.trim()} className="bg-blue-600 text-white font-bold px-4 rounded-lg hover:bg-blue-700 transition disabled:bg-blue-300">Ask</button>
+            </form>
+            {history.length > 0 && <button onClick={startOver} className="w-full text-gray-500 hover:text-gray-700 font-semibold transition">Start over</button>}
+        </div>
+    );
+}
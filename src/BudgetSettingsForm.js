@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { normalizeBudget, DEFAULT_BUDGET } from './budget';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const inputClass = "w-full p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500";
+
+// --- Budget Settings Form ---
+export default function BudgetSettingsForm({ initialBudget, onSave, onCancel }) {
+    const [form, setForm] = useState(() => normalizeBudget(initialBudget));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const update = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setForm((prev) => ({ ...prev, [field]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            await onSave(normalizeBudget(form));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4 text-sm">
+            <label className="block">
+                <span className="font-medium text-gray-600">Daily points budget</span>
+                <input type="number" min="0" step="1" value={form.dailyPoints} onChange={update('dailyPoints')} className={inputClass} />
+            </label>
+            <label className="block">
+                <span className="font-medium text-gray-600">Weekly bonus allowance</span>
+                <input type="number" min="0" step="1" value={form.weeklyAllowance} onChange={update('weeklyAllowance')} className={inputClass} />
+            </label>
+            <label className="block">
+                <span className="font-medium text-gray-600">Week starts on</span>
+                <select value={form.weekStartsOn} onChange={update('weekStartsOn')} className={inputClass}>
+                    {WEEKDAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+                </select>
+            </label>
+            <label className="flex items-center gap-2">
+                <input type="checkbox" checked={form.rolloverEnabled} onChange={update('rolloverEnabled')} />
+                <span className="text-gray-600">Roll over up to {DEFAULT_BUDGET.maxRolloverPerDay} unused daily points into the weekly allowance</span>
+            </label>
+            <div className="flex gap-3 pt-2">
+                {onCancel && <button type="button" onClick={onCancel} className="w-1/2 bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition">Cancel</button>}
+                <button type="submit" disabled={isSaving} className="flex-1 bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{isSaving ? 'Saving...' : 'Save'}</button>
+            </div>
+        </form>
+    );
+}
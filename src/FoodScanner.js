@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { calculatePoints, stampEntry, isZeroPointFood } from './pointsRules';
+import { isAbortError } from './geminiClient';
+import { validatePhotoFile, toDetectedItems, toDetectedEntry } from './photoLookup';
+import { normalizeBarcode, isValidBarcode } from './barcodeLookup';
+import { validateQuantity } from './nutrients';
+import { MEALS } from './meals';
+
+const inputClass = "p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// --- Food Scanner ---
+// Photo and barcode lookups fill a list of detected items; nothing is logged
+// until the user reviews the list and confirms it.
+export default function FoodScanner({ pointsPlan, isOnline, detectPhoto, lookupBarcode, barcodeSourceLabel, initialMeal, onConfirm, onCancel }) {
+    const [mode, setMode] = useState('photo'); // 'photo' | 'barcode'
+    const [photo, setPhoto] = useState(null);
+    const [previewUrl, setPreviewUrl] = useState('');
+    const [note, setNote] = useState('');
+    const [barcode, setBarcode] = useState('');
+    const [items, setItems] = useState([]);
+    const [meal, setMeal] = useState(initialMeal);
+    const [isWorking, setIsWorking] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [itemErrors, setItemErrors] = useState({}); // item key -> message
+    const abortRef = useRef(null);
+    const lookupCountRef = useRef(0);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+    useEffect(() => () => { if (previewUrl) URL.revokeObjectURL(previewUrl); }, [previewUrl]);
+
+    const runLookup = async (lookup) => {
+        abortRef.current?.abort();
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError('');
+        setIsWorking(true);
+        try {
+            await lookup(controller.signal);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error("Food scanner lookup failed:", err);
+            setError(err.message || 'The lookup failed.');
+        } finally {
+            if (abortRef.current === controller) abortRef.current = null;
+            setIsWorking(false);
+        }
+    };
+
+    const handlePhotoChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const problem = validatePhotoFile(file);
+        if (problem) { setError(problem); return; }
+        setError('');
+        setPhoto(file);
+        setPreviewUrl(URL.createObjectURL(file));
+    };
+
+    const handleDetect = () => runLookup(async (signal) => {
+        const detected = await detectPhoto(photo, note, signal);
+        if (detected.length === 0) { setError("Couldn't spot any food in that photo. Try another angle or add a note."); return; }
+        setItems((prev) => [...prev, ...toDetectedItems(detected, `photo${lookupCountRef.current++}`)]);
+    });
+
+    const handleBarcodeLookup = (e) => {
+        e.preventDefault();
+        const code = normalizeBarcode(barcode);
+        if (!isValidBarcode(code)) { setError('Enter the 8, 12, 13 or 14 digits under the barcode.'); return; }
+        runLookup(async (signal) => {
+            const food = await lookupBarcode(code, signal);
+            if (!food) { setError(`No nutrition data found for ${code}.`); return; }
+            setItems((prev) => [...prev, ...toDetectedItems([food], `barcode${lookupCountRef.current++}`)]);
+            setBarcode('');
+        });
+    };
+
+    const updateItem = (key, changes) => {
+        setItems((prev) => prev.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+        setItemErrors((prev) => ({ ...prev, [key]: undefined }));
+    };
+
+    const selected = items.filter((item) => item.selected);
+    const pointsOf = (item) => (validateQuantity(item.quantity) ? 0 : calculatePoints(stampEntry(item, pointsPlan)));
+
+    // Items leave the list as they are logged, so if a write fails part way
+    // only the ones still listed are added on the next try.
+    const handleConfirm = async () => {
+        const errors = {};
+        selected.forEach((item) => { errors[item.key] = toDetectedEntry(item, meal).error; });
+        setItemErrors(errors);
+        if (Object.values(errors).some(Boolean)) { setError('Fix the items marked below before adding them.'); return; }
+        setError('');
+        setIsSaving(true);
+        try {
+            await onConfirm(selected, meal, (item) => setItems((prev) => prev.filter((i) => i.key !== item.key)));
+        } catch (err) {
+            setError(err.message || 'Some items could not be added.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4 text-sm">
+            <div className="flex gap-2">
+                {[{ id: 'photo', label: 'Meal Photo' }, { id: 'barcode', label: 'Barcode' }].map((tab) => (
+                    <button key={tab.id} type="button" onClick={() => { setMode(tab.id); setError(''); }} className={`text-sm font-semibold px-3 py-1 rounded-full transition ${mode === tab.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}>{tab.label}</button>
+                ))}
+            </div>
+
+            {mode === 'photo' ? (
+                <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+                    <input type="file" accept="image/*" capture="environment" onChange={handlePhotoChange} className="w-full text-sm" aria-label="Meal photo" />
+                    {previewUrl && <img src={previewUrl} alt="Meal to analyze" className="w-full max-h-48 object-cover rounded-lg" />}
+                    <input type="text" placeholder="Optional note (e.g., 'dressing on the side')" value={note} onChange={(e) => setNote(e.target.value)} className={`w-full ${inputClass}`} />
+                    <button type="button" onClick={handleDetect} disabled={!photo || isWorking || !isOnline} className="w-full bg-indigo-600 text-white font-bold py-2 rounded-lg hover:bg-indigo-700 transition disabled:bg-indigo-300">{isWorking ? 'Analyzing photo...' : isOnline ? 'Detect Foods' : 'Photo lookup needs a connection'}</button>
+                </div>
+            ) : (
+                <form onSubmit={handleBarcodeLookup} className="bg-gray-50 rounded-lg p-3 space-y-2">
+                    <div className="flex gap-2">
+                        <input type="text" inputMode="numeric" placeholder="Barcode number" value={barcode} onChange={(e) => setBarcode(e.target.value)} className={`flex-1 ${inputClass}`} />
+                        <button type="submit" disabled={isWorking || !barcode.trim()} className="bg-indigo-600 text-white font-bold px-4 rounded-lg hover:bg-indigo-700 transition disabled:bg-indigo-300">{isWorking ? 'Looking up...' : 'Look Up'}</button>
+                    </div>
+                    <p className="text-xs text-gray-500">Nutrition data from {barcodeSourceLabel}.</p>
+                </form>
+            )}
+
+            {error && <p className="text-red-500">{error}</p>}
+
+            {items.length > 0 && (
+                <div className="space-y-2">
+                    <p className="font-medium text-gray-600">Review before logging (per-unit nutrients are estimates):</p>
+                    <ul className="space-y-2">
+                        {items.map((item) => (
+                            <li key={item.key} className={`border rounded-md p-2 space-y-1 ${item.selected ? 'bg-white' : 'bg-gray-50 opacity-60'}`}>
+                                <div className="flex items-center gap-2">
+                                    <input type="checkbox" checked={item.selected} onChange={(e) => updateItem(item.key, { selected: e.target.checked })} aria-label={`Include ${item.name}`} />
+                                    <input type="text" value={item.name} onChange={(e) => updateItem(item.key, { name: e.target.value })} className={`flex-1 ${inputClass}`} aria-label="Food name" />
+                                    <span className="text-sm font-semibold px-2 py-1 rounded-full bg-blue-100 text-blue-700">{pointsOf(item)}</span>
+                                </div>
+                                <div className="flex items-center gap-2 pl-6">
+                                    <input type="number" min="0.01" step="0.01" value={item.quantity} onChange={(e) => updateItem(item.key, { quantity: e.target.value })} className={`w-20 ${inputClass}`} aria-label={`Quantity of ${item.name}`} />
+                                    <span className="text-gray-600">{item.unit}</span>
+                                    <span className="text-xs text-gray-500 ml-auto">{round2(item.calories)} cal &middot; P {round2(item.protein)}g &middot; C {round2(item.carbs)}g &middot; F {round2(item.fat)}g per {item.unit}</span>
+                                </div>
+                                <label className="flex items-center gap-2 pl-6 text-gray-600">
+                                    <input type="checkbox" checked={isZeroPointFood(item, pointsPlan?.zeroPointFoods)} onChange={(e) => updateItem(item.key, { zeroPointOverride: e.target.checked })} />
+                                    Zero-point food
+                                </label>
+                                {itemErrors[item.key] && <p className="text-xs text-red-500 pl-6">{itemErrors[item.key]}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                    <select value={meal} onChange={(e) => setMeal(e.target.value)} aria-label="Meal" className={`w-full ${inputClass}`}>
+                        {MEALS.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+                    </select>
+                </div>
+            )}
+
+            <div className="flex gap-3 pt-2">
+                <button type="button" onClick={onCancel} className="w-1/2 bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition">Cancel</button>
+                <button type="button" onClick={handleConfirm} disabled={selected.length === 0 || isSaving || isWorking} className="w-1/2 bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{isSaving ? 'Adding...' : `Add ${selected.length} to Log`}</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from './markdownParser';
+
+// --- Markdown Renderer ---
+// Renders the tree from markdownParser.js; every string goes through React, so it is escaped.
+const Inline = ({ nodes }) => nodes.map((node, i) => {
+    switch (node.type) {
+        case 'strong': return <strong key={i} className="font-semibold text-gray-800"><Inline nodes={node.children} /></strong>;
+        case 'em': return <em key={i}><Inline nodes={node.children} /></em>;
+        case 'code': return <code key={i} className="font-mono text-sm bg-gray-100 rounded px-1">{node.value}</code>;
+        case 'link': return <a key={i} href={node.href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline"><Inline nodes={node.children} /></a>;
+        default: return <React.Fragment key={i}>{node.value}</React.Fragment>;
+    }
+});
+
+const HEADING_CLASSES = ['text-lg font-bold', 'text-base font-bold', 'font-semibold'];
+
+export default function Markdown({ text }) {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+    return (
+        <div className="space-y-2 text-gray-700 leading-relaxed">
+            {blocks.map((block, i) => {
+                switch (block.type) {
+                    case 'heading': {
+                        const Tag = `h${Math.min(block.level + 3, 6)}`;
+                        return <Tag key={i} className={`${HEADING_CLASSES[Math.min(block.level, 3) - 1]} text-gray-800`}><Inline nodes={block.children} /></Tag>;
+                    }
+                    case 'list': {
+                        const List = block.ordered ? 'ol' : 'ul';
+                        return <List key={i} className={`${block.ordered ? 'list-decimal' : 'list-disc'} ml-5 space-y-1`}>{block.items.map((item, j) => <li key={j}><Inline nodes={item} /></li>)}</List>;
+                    }
+                    case 'code':
+                        return <pre key={i} className="font-mono text-sm bg-gray-100 rounded p-2 overflow-x-auto">{block.value}</pre>;
+                    default:
+                        return <p key={i}>{block.lines.map((line, j) => <React.Fragment key={j}>{j > 0 && <br />}<Inline nodes={line} /></React.Fragment>)}</p>;
+                }
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { listFormulas, parseZeroPointList, DEFAULT_FORMULA_ID } from './pointsRules';
+
+const inputClass = "w-full p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500";
+
+// --- Points Plan Form ---
+// Picks the formula for new entries and edits the personal zero-point list.
+export default function PointsPlanForm({ initialPlan, onSave, onCancel }) {
+    const formulas = listFormulas();
+    const [formulaId, setFormulaId] = useState(initialPlan?.formulaId || DEFAULT_FORMULA_ID);
+    const [zeroPointText, setZeroPointText] = useState((initialPlan?.zeroPointFoods || []).join('\n'));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const selected = formulas.find((f) => f.id === formulaId);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        try {
+            await onSave({ formulaId, zeroPointFoods: parseZeroPointList(zeroPointText) });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4 text-sm">
+            <label className="block">
+                <span className="font-medium text-gray-600">Points formula</span>
+                <select value={formulaId} onChange={(e) => setFormulaId(e.target.value)} className={inputClass}>
+                    {formulas.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+                </select>
+            </label>
+            {selected && <p className="text-gray-500">{selected.description} (version {selected.version}). Changing the formula only affects new entries.</p>}
+            <label className="block">
+                <span className="font-medium text-gray-600">My zero-point foods</span>
+                <textarea rows="6" value={zeroPointText} onChange={(e) => setZeroPointText(e.target.value)} placeholder={"One per line, e.g.\napple\nchicken breast"} className={inputClass} />
+            </label>
+            <div className="flex gap-3 pt-2">
+                {onCancel && <button type="button" onClick={onCancel} className="w-1/2 bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition">Cancel</button>}
+                <button type="submit" disabled={isSaving} className="flex-1 bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{isSaving ? 'Saving...' : 'Save'}</button>
+            </div>
+        </form>
+    );
+}
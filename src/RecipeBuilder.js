@@ -0,0 +1,113 @@
+import React, { useState, useMemo } from 'react';
+import { toIngredient, computePerServing, validateRecipe, buildRecipe, toRecipeLogEntry } from './recipes';
+import { calculatePoints, stampEntry, isZeroPointFood } from './pointsRules';
+import { foodKey, indexFoodsByKey, findConvertibleFood } from './foodLibrary';
+import { NUTRIENT_FIELDS } from './nutrients';
+import { FOOD_UNITS } from './units';
+
+const inputClass = "p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500";
+
+// --- Recipe Builder ---
+// Ingredients come from saved foods when the name matches one (converting
+// units where possible), and from `lookupFood` (cache, then AI) otherwise.
+export default function RecipeBuilder({ initialRecipe, savedFoods, lookupFood, pointsPlan, onSave, onCancel }) {
+    const [name, setName] = useState(initialRecipe?.name || '');
+    const [servings, setServings] = useState(initialRecipe?.servings || 4);
+    const [ingredients, setIngredients] = useState(initialRecipe?.ingredients || []);
+    const [ingredientName, setIngredientName] = useState('');
+    const [ingredientQty, setIngredientQty] = useState(1);
+    const [ingredientUnit, setIngredientUnit] = useState('cup');
+    const [isLookingUp, setIsLookingUp] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const savedByKey = useMemo(() => indexFoodsByKey(savedFoods), [savedFoods]);
+    const perServing = useMemo(() => computePerServing(ingredients, servings), [ingredients, servings]);
+    const pointsPerServing = calculatePoints(stampEntry(toRecipeLogEntry({ name, servings, ingredients, perServing }, 1), { formulaId: pointsPlan?.formulaId }));
+
+    const handleAddIngredient = async () => {
+        if (!ingredientName.trim()) { setError('Enter an ingredient name.'); return; }
+        if (!(parseFloat(ingredientQty) > 0)) { setError('Ingredient quantity must be greater than zero.'); return; }
+        setError('');
+        let food = savedByKey[foodKey(ingredientName, ingredientUnit)] || findConvertibleFood(savedFoods, ingredientName, ingredientUnit);
+        if (!food) {
+            setIsLookingUp(true);
+            try {
+                food = await lookupFood(ingredientName, ingredientUnit);
+            } catch (err) {
+                setError(err.message || 'Could not look up that ingredient.');
+                return;
+            } finally {
+                setIsLookingUp(false);
+            }
+        }
+        const named = { ...food, name: ingredientName };
+        setIngredients((prev) => [...prev, toIngredient({ ...named, isZeroPoint: isZeroPointFood(named, pointsPlan?.zeroPointFoods) }, ingredientQty, ingredientUnit)]);
+        setIngredientName(''); setIngredientQty(1);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const problem = validateRecipe({ name, servings, ingredients });
+        if (problem) { setError(problem); return; }
+        setIsSaving(true);
+        try {
+            await onSave(buildRecipe({ name, servings, ingredients }));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4 text-sm">
+            <div className="flex gap-3">
+                <input type="text" placeholder="Recipe name (e.g., 'Chili')" value={name} onChange={(e) => setName(e.target.value)} className={`w-2/3 ${inputClass}`} />
+                <label className="w-1/3 flex items-center gap-1">
+                    <input type="number" min="0.5" step="0.5" value={servings} onChange={(e) => setServings(e.target.value)} className={`w-full ${inputClass}`} aria-label="Servings" />
+                    <span className="text-gray-500">srv</span>
+                </label>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+                <p className="font-medium text-gray-600">Add an ingredient</p>
+                <input type="text" list="recipe-saved-foods" placeholder="Ingredient" value={ingredientName} onChange={(e) => setIngredientName(e.target.value)} className={`w-full ${inputClass}`} />
+                <datalist id="recipe-saved-foods">
+                    {savedFoods.map((food) => <option key={food.id} value={food.name} />)}
+                </datalist>
+                <div className="flex gap-2">
+                    <input type="number" min="0.01" step="0.01" value={ingredientQty} onChange={(e) => setIngredientQty(e.target.value)} className={`w-1/4 ${inputClass}`} aria-label="Ingredient quantity" />
+                    <select value={ingredientUnit} onChange={(e) => setIngredientUnit(e.target.value)} className={`w-1/3 ${inputClass}`} aria-label="Ingredient unit">
+                        {FOOD_UNITS.map((u) => <option key={u}>{u}</option>)}
+                    </select>
+                    <button type="button" onClick={handleAddIngredient} disabled={isLookingUp} className="flex-1 bg-indigo-600 text-white font-bold rounded-lg hover:bg-indigo-700 transition disabled:bg-indigo-300">{isLookingUp ? 'Looking up...' : 'Add'}</button>
+                </div>
+            </div>
+
+            {error && <p className="text-red-500">{error}</p>}
+
+            <ul className="space-y-2">
+                {ingredients.map((ingredient, i) => (
+                    <li key={`${ingredient.name}-${i}`} className="flex justify-between items-center bg-white border rounded-md p-2">
+                        <span><span className="font-medium text-gray-800">{ingredient.name}</span> <span className="text-gray-500">{ingredient.quantity} {ingredient.unit} &middot; {Math.round(ingredient.calories * ingredient.quantity)} cal{ingredient.isZeroPoint && <> &middot; zero-point</>}</span></span>
+                        <button type="button" onClick={() => setIngredients((prev) => prev.filter((_, j) => j !== i))} className="text-gray-400 hover:text-red-500 transition" aria-label={`Remove ${ingredient.name}`}>&times;</button>
+                    </li>
+                ))}
+            </ul>
+
+            {ingredients.length > 0 && (
+                <div className="bg-green-50 rounded-lg p-3">
+                    <div className="flex justify-between items-center mb-2">
+                        <p className="font-medium text-gray-600">Per serving</p>
+                        <span className="text-lg font-bold px-3 py-1 rounded-full bg-blue-100 text-blue-700">{pointsPerServing} pts</span>
+                    </div>
+                    <p className="text-xs text-gray-500">{NUTRIENT_FIELDS.map(({ key, label, suffix }) => `${label}: ${perServing[key]}${suffix}`).join(' | ')}</p>
+                </div>
+            )}
+
+            <div className="flex gap-3 pt-2">
+                <button type="button" onClick={onCancel} className="w-1/2 bg-gray-100 text-gray-700 font-bold py-2 rounded-lg hover:bg-gray-200 transition">Cancel</button>
+                <button type="submit" disabled={isSaving || isLookingUp} className="w-1/2 bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{isSaving ? 'Saving...' : 'Save Recipe'}</button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,142 @@
+import React, { useMemo } from 'react';
+import { summarizeDays, summarizeWeeks, macroSplit, zeroPointShare, budgetStreaks, averageLoggedPoints } from './trends';
+import { weeklyWeights } from './weight';
+
+export const TREND_RANGES = [
+    { days: 28, label: '4 weeks' },
+    { days: 91, label: '13 weeks' },
+];
+
+const MACRO_COLORS = { protein: 'bg-rose-400', carbs: 'bg-amber-400', fat: 'bg-sky-400' };
+
+// --- Bar Chart ---
+// Plain SVG bars with a dashed target line; bars over the target turn amber.
+const BarChart = ({ bars, target, height = 160 }) => {
+    const max = Math.max(target || 0, ...bars.map((b) => b.value), 1);
+    const width = 100;
+    const gap = bars.length > 40 ? 0.2 : 0.6;
+    const barWidth = Math.max(0.5, (width - gap * bars.length) / bars.length);
+    const y = (value) => height - (value / max) * (height - 10);
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-40" role="img" aria-label="Points chart">
+            {bars.map((bar, i) => (
+                <rect key={bar.key} x={i * (barWidth + gap)} y={y(bar.value)} width={barWidth} height={height - y(bar.value)} className={bar.value > target ? 'fill-amber-400' : 'fill-blue-500'}>
+                    <title>{`${bar.label}: ${Math.round(bar.value)} points`}</title>
+                </rect>
+            ))}
+            {target > 0 && <line x1="0" x2={width} y1={y(target)} y2={y(target)} className="stroke-red-400" strokeWidth="0.6" strokeDasharray="2 1.5" vectorEffect="non-scaling-stroke" />}
+        </svg>
+    );
+};
+
+// --- Weight vs. Points Chart ---
+// Weekly average points as bars with average weight drawn over them on its own scale.
+const WeightPointsChart = ({ weeks, dailyBudget, goalWeight, weightUnit, height = 160 }) => {
+    const width = 100;
+    const maxPoints = Math.max(dailyBudget || 0, ...weeks.map((w) => w.averagePoints), 1);
+    const weights = weeks.map((w) => w.averageWeight).filter((w) => w !== null).concat(goalWeight ? [goalWeight] : []);
+    const minWeight = Math.min(...weights) - 1;
+    const maxWeight = Math.max(...weights) + 1;
+    const slot = width / weeks.length;
+    const yPoints = (value) => height - (value / maxPoints) * (height - 10);
+    const yWeight = (value) => 5 + ((maxWeight - value) / (maxWeight - minWeight)) * (height - 10);
+    const line = weeks
+        .map((w, i) => (w.averageWeight === null ? null : `${i * slot + slot / 2},${yWeight(w.averageWeight)}`))
+        .filter(Boolean)
+        .join(' ');
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-40" role="img" aria-label="Weight and points chart">
+            {weeks.map((w, i) => (
+                <rect key={w.key} x={i * slot + slot * 0.15} y={yPoints(w.averagePoints)} width={slot * 0.7} height={height - yPoints(w.averagePoints)} className="fill-blue-200">
+                    <title>{`Week of ${w.weekStart.toLocaleDateString()}: ${Math.round(w.averagePoints)} points/day${w.averageWeight !== null ? `, ${Math.round(w.averageWeight * 10) / 10} ${weightUnit}` : ''}`}</title>
+                </rect>
+            ))}
+            {goalWeight && <line x1="0" x2={width} y1={yWeight(goalWeight)} y2={yWeight(goalWeight)} className="stroke-green-500" strokeWidth="0.6" strokeDasharray="2 1.5" vectorEffect="non-scaling-stroke" />}
+            <polyline points={line} fill="none" className="stroke-rose-500" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        </svg>
+    );
+};
+
+const StatCard = ({ label, value, hint }) => (
+    <div className="bg-gray-50 rounded-xl p-4 text-center">
+        <p className="text-sm text-gray-500">{label}</p>
+        <p className="text-3xl font-bold text-blue-600">{value}</p>
+        {hint && <p className="text-xs text-gray-400 mt-1">{hint}</p>}
+    </div>
+);
+
+// --- Trends Dashboard ---
+export default function TrendsDashboard({ entries, range, dailyBudget, weekStartsOn, rangeDays, onRangeChange, isLoading, weighIns = [], weightUnit, goalWeight }) {
+    const days = useMemo(() => summarizeDays(entries, { ...range, dailyBudget }), [entries, range, dailyBudget]);
+    const weeks = useMemo(() => summarizeWeeks(days, weekStartsOn), [days, weekStartsOn]);
+    const weightWeeks = useMemo(() => weeklyWeights(weighIns, weeks, weekStartsOn), [weighIns, weeks, weekStartsOn]);
+    const hasWeights = weightWeeks.some((w) => w.averageWeight !== null);
+    const macros = useMemo(() => macroSplit(days), [days]);
+    const streaks = useMemo(() => budgetStreaks(days), [days]);
+    const zeroShare = zeroPointShare(days);
+    const loggedDays = days.filter((day) => day.isLogged);
+
+    const dayLabel = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center border-b pb-3">
+                <h2 className="text-2xl font-semibold text-gray-700">Trends</h2>
+                <div className="flex gap-2">
+                    {TREND_RANGES.map((r) => (
+                        <button key={r.days} onClick={() => onRangeChange(r.days)} className={`text-sm font-semibold px-3 py-1 rounded-full transition ${rangeDays === r.days ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}>{r.label}</button>
+                    ))}
+                </div>
+            </div>
+
+            {isLoading ? <p className="text-center text-gray-500 py-8">Loading your history...</p> : loggedDays.length === 0 ? (
+                <div className="text-center py-10 px-4 bg-gray-50 rounded-lg"><p className="text-gray-500">Nothing logged in this period yet.</p></div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                        <StatCard label="Avg points / day" value={Math.round(averageLoggedPoints(days))} hint={`budget ${dailyBudget}`} />
+                        <StatCard label="Days in budget" value={`${loggedDays.filter((d) => d.withinBudget).length}/${loggedDays.length}`} hint="logged days" />
+                        <StatCard label="Current streak" value={streaks.current} hint={`best ${streaks.longest}`} />
+                        <StatCard label="Zero-point share" value={`${Math.round(zeroShare * 100)}%`} hint="of entries" />
+                    </div>
+
+                    <section>
+                        <h3 className="font-semibold text-gray-700 mb-2">Daily points vs. budget</h3>
+                        <BarChart target={dailyBudget} bars={days.map((day) => ({ key: day.key, label: dayLabel(day.date), value: day.points }))} />
+                        <div className="flex justify-between text-xs text-gray-400 mt-1"><span>{dayLabel(days[0].date)}</span><span>{dayLabel(days[days.length - 1].date)}</span></div>
+                    </section>
+
+                    <section>
+                        <h3 className="font-semibold text-gray-700 mb-2">Weekly average per logged day</h3>
+                        <BarChart target={dailyBudget} bars={weeks.map((week) => ({ key: week.key, label: `Week of ${dayLabel(week.weekStart)}`, value: week.averagePoints }))} />
+                        <div className="flex justify-between text-xs text-gray-400 mt-1"><span>Week of {dayLabel(weeks[0].weekStart)}</span><span>Week of {dayLabel(weeks[weeks.length - 1].weekStart)}</span></div>
+                    </section>
+
+                    {hasWeights && (
+                        <section>
+                            <h3 className="font-semibold text-gray-700 mb-2">Weight vs. average daily points</h3>
+                            <WeightPointsChart weeks={weightWeeks} dailyBudget={dailyBudget} goalWeight={goalWeight} weightUnit={weightUnit} />
+                            <div className="flex gap-4 text-xs text-gray-500 mt-1">
+                                <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-blue-200"></span>Avg points / logged day</span>
+                                <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-rose-500"></span>Avg weight ({weightUnit})</span>
+                                {goalWeight && <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-green-500"></span>Goal</span>}
+                            </div>
+                        </section>
+                    )}
+
+                    <section>
+                        <h3 className="font-semibold text-gray-700 mb-2">Macro split (share of calories)</h3>
+                        <div className="flex w-full h-4 rounded-full overflow-hidden bg-gray-200">
+                            {Object.keys(MACRO_COLORS).map((key) => <div key={key} className={MACRO_COLORS[key]} style={{ width: `${macros.percent[key]}%` }} title={`${key}: ${macros.percent[key]}%`}></div>)}
+                        </div>
+                        <div className="flex justify-between text-sm text-gray-600 mt-2">
+                            {Object.keys(MACRO_COLORS).map((key) => (
+                                <span key={key} className="flex items-center gap-1"><span className={`w-3 h-3 rounded-full ${MACRO_COLORS[key]}`}></span>{key.charAt(0).toUpperCase() + key.slice(1)} {macros.percent[key]}% <span className="text-gray-400">({Math.round(macros.grams[key])} g)</span></span>
+                            ))}
+                        </div>
+                    </section>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,99 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { toDateKey, fromDateKey } from './dateUtils';
+import { WEIGHT_UNITS, validateWeighIn, sortWeighIns, weightTrend, convertWeight } from './weight';
+
+const inputClass = "w-full p-2 bg-gray-100 rounded-lg border focus:ring-2 focus:ring-blue-500";
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// --- Weight Tracker ---
+// Weigh-in form, goal weight and the most recent weigh-ins. `weighIns` are
+// already in `settings.weightUnit`.
+export default function WeightTracker({ weighIns, settings, onSaveWeighIn, onDeleteWeighIn, onSaveSettings }) {
+    const [date, setDate] = useState(() => toDateKey(new Date()));
+    const [weight, setWeight] = useState('');
+    const [waist, setWaist] = useState('');
+    const [goal, setGoal] = useState(settings.goalWeight ?? '');
+    const [formError, setFormError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const recent = useMemo(() => sortWeighIns(weighIns).reverse().slice(0, 8), [weighIns]);
+    const trend = useMemo(() => weightTrend(weighIns), [weighIns]);
+    const { weightUnit, goalWeight } = settings;
+
+    useEffect(() => { setGoal(goalWeight ?? ''); }, [goalWeight]);
+
+    // The goal follows the unit; stored weigh-ins keep their own.
+    const handleUnitChange = (newUnit) => {
+        onSaveSettings({ weightUnit: newUnit, goalWeight: goalWeight ? round1(convertWeight(goalWeight, weightUnit, newUnit)) : null });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationError = validateWeighIn({ date, weight, waist });
+        if (validationError) { setFormError(validationError); return; }
+        setFormError('');
+        setIsSaving(true);
+        try {
+            await onSaveWeighIn({ date, weight: parseFloat(weight), waist: waist === '' ? null : parseFloat(waist) });
+            setWeight(''); setWaist('');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Picking a day that already has a weigh-in loads it for editing.
+    const handleDateChange = (key) => {
+        setDate(key);
+        const existing = weighIns.find((w) => w.date === key);
+        setWeight(existing ? String(existing.weight) : '');
+        setWaist(existing?.waist ? String(existing.waist) : '');
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex justify-between items-center border-b pb-3">
+                <h2 className="text-2xl font-semibold text-gray-700">Weight</h2>
+                <select value={weightUnit} onChange={(e) => handleUnitChange(e.target.value)} aria-label="Weight unit" className="text-sm p-1 bg-gray-100 rounded border">
+                    {WEIGHT_UNITS.map((u) => <option key={u}>{u}</option>)}
+                </select>
+            </div>
+
+            {trend && (
+                <div className="grid grid-cols-3 gap-3 text-center">
+                    <div className="bg-gray-50 rounded-xl p-3"><p className="text-xs text-gray-500">Latest</p><p className="text-xl font-bold text-blue-600">{trend.latest.weight}</p></div>
+                    <div className="bg-gray-50 rounded-xl p-3"><p className="text-xs text-gray-500">4-week change</p><p className={`text-xl font-bold ${trend.change > 0 ? 'text-amber-600' : 'text-green-600'}`}>{trend.change > 0 ? '+' : ''}{round1(trend.change)}</p></div>
+                    <div className="bg-gray-50 rounded-xl p-3"><p className="text-xs text-gray-500">To goal</p><p className="text-xl font-bold text-blue-600">{goalWeight ? round1(Math.abs(trend.latest.weight - goalWeight)) : '—'}</p></div>
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+                <div className="flex gap-3">
+                    <input type="date" value={date} max={toDateKey(new Date())} onChange={(e) => handleDateChange(e.target.value)} aria-label="Weigh-in date" className={inputClass} />
+                    <input type="number" min="0" step="0.1" placeholder={`Weight (${weightUnit})`} value={weight} onChange={(e) => setWeight(e.target.value)} className={inputClass} />
+                    <input type="number" min="0" step="0.1" placeholder="Waist (optional)" value={waist} onChange={(e) => setWaist(e.target.value)} className={inputClass} />
+                </div>
+                {formError && <p className="text-xs text-red-500">{formError}</p>}
+                <button type="submit" disabled={isSaving || !weight} className="w-full bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition shadow-md disabled:bg-blue-300">{isSaving ? 'Saving...' : 'Save Weigh-In'}</button>
+            </form>
+
+            <form onSubmit={(e) => { e.preventDefault(); onSaveSettings({ goalWeight: goal }); }} className="flex items-center gap-3 text-sm">
+                <label className="font-medium text-gray-600 whitespace-nowrap" htmlFor="goal-weight">Goal weight</label>
+                <input id="goal-weight" type="number" min="0" step="0.1" placeholder={weightUnit} value={goal} onChange={(e) => setGoal(e.target.value)} className={inputClass} />
+                <button type="submit" className="text-blue-600 hover:text-blue-800 font-semibold transition">Save</button>
+            </form>
+
+            {recent.length > 0 && (
+                <ul className="divide-y text-sm">
+                    {recent.map((w) => (
+                        <li key={w.id} className="flex justify-between items-center py-2">
+                            <span className="text-gray-600">{fromDateKey(w.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}</span>
+                            <span className="font-semibold text-gray-800">{w.weight} {weightUnit}{w.waist ? <span className="font-normal text-gray-500"> &middot; waist {w.waist}</span> : null}</span>
+                            <button onClick={() => onDeleteWeighIn(w.id)} className="text-gray-400 hover:text-red-500 transition" aria-label={`Delete weigh-in for ${w.date}`}>&times;</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment node
+ */
+// Firebase Auth's Node build fetches through undici, which needs the web
+// stream and text globals Jest's node environment leaves out. They have to
+// be in place before Firebase loads, hence require() rather than import.
+const { ReadableStream, WritableStream, TransformStream } = require('stream/web');
+const { TextEncoder, TextDecoder } = require('util');
+Object.assign(global, { ReadableStream, WritableStream, TransformStream, TextEncoder, TextDecoder });
+
+const { initializeApp, deleteApp } = require('firebase/app');
+const { getAuth, connectAuthEmulator, signInAnonymously, signInWithEmailAndPassword, signOut } = require('firebase/auth');
+const { getEmulatorConfig, upgradeGuestAccount, describeUser, describeAuthError } = require('./account');
+
+// Runs against the Firebase Auth emulator only; see "Testing account
+// upgrades" in the README. Skipped when no emulator is configured.
+const { auth: emulator } = getEmulatorConfig();
+const describeWithEmulator = emulator ? describe : describe.skip;
+
+describeWithEmulator('guest account upgrade (Auth emulator)', () => {
+    let app;
+    let auth;
+
+    beforeAll(() => {
+        app = initializeApp({ apiKey: 'demo-api-key', projectId: 'demo-points-tracker' }, 'auth-emulator-test');
+        auth = getAuth(app);
+        connectAuthEmulator(auth, `http://${emulator.host}:${emulator.port}`, { disableWarnings: true });
+    });
+
+    afterAll(() => deleteApp(app));
+
+    const uniqueEmail = () => `guest-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+
+    it('keeps the uid when a guest links an email and password', async () => {
+        const { user: guest } = await signInAnonymously(auth);
+        expect(guest.isAnonymous).toBe(true);
+
+        const email = uniqueEmail();
+        const upgraded = await upgradeGuestAccount(auth, { email, password: 'secret123' });
+        expect(describeUser(upgraded)).toEqual({ uid: guest.uid, email, isAnonymous: false });
+
+        await signOut(auth);
+        const { user: returning } = await signInWithEmailAndPassword(auth, email, 'secret123');
+        expect(returning.uid).toBe(guest.uid);
+        await signOut(auth);
+    });
+
+    it('refuses to link an email that already has an account', async () => {
+        const email = uniqueEmail();
+        await signInAnonymously(auth);
+        await upgradeGuestAccount(auth, { email, password: 'secret123' });
+        await signOut(auth);
+
+        await signInAnonymously(auth);
+        const error = await upgradeGuestAccount(auth, { email, password: 'secret123' }).catch((err) => err);
+        expect(describeAuthError(error)).toBe('That email already has an account. Sign in to it instead.');
+        expect(auth.currentUser.isAnonymous).toBe(true);
+        await signOut(auth);
+    });
+});
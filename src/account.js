@@ -0,0 +1,60 @@
+import { EmailAuthProvider, linkWithCredential } from 'firebase/auth';
+
+// --- Accounts ---
+// Everyone starts as an anonymous user. Linking an email/password credential
+// upgrades that same user (same uid, same data); signing in to an existing
+// account switches to that account's data instead.
+
+// REACT_APP_FIREBASE_AUTH_EMULATOR_HOST / REACT_APP_FIRESTORE_EMULATOR_HOST,
+// e.g. "localhost:9099", point the app at the local Firebase emulators.
+export const getEmulatorConfig = (env = process.env) => {
+    const parseHost = (value) => {
+        const match = /^([^:\s]+):(\d+)$/.exec(String(value || '').trim());
+        return match ? { host: match[1], port: Number(match[2]) } : null;
+    };
+    return {
+        auth: parseHost(env.REACT_APP_FIREBASE_AUTH_EMULATOR_HOST),
+        firestore: parseHost(env.REACT_APP_FIRESTORE_EMULATOR_HOST),
+    };
+};
+
+// Links an email/password credential to the signed-in guest. The uid, and so
+// all of the guest's data, stays the same.
+export const upgradeGuestAccount = async (auth, { email, password }) => {
+    const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+    return user;
+};
+
+// Only the parts of a Firebase User the UI needs.
+export const describeUser = (user) => (user ? { uid: user.uid, email: user.email || null, isAnonymous: !!user.isAnonymous } : null);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Returns an error message, or null. `mode` is 'upgrade' | 'signin'.
+export const validateCredentials = ({ email, password, confirmPassword }, mode) => {
+    if (!EMAIL_PATTERN.test(String(email || '').trim())) return 'Enter a valid email address.';
+    if (!password) return 'Enter your password.';
+    if (mode === 'upgrade') {
+        if (password.length < MIN_PASSWORD_LENGTH) return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`;
+        if (password !== confirmPassword) return "The passwords don't match.";
+    }
+    return null;
+};
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'That email already has an account. Sign in to it instead.',
+    'auth/credential-already-in-use': 'That email already has an account. Sign in to it instead.',
+    'auth/provider-already-linked': 'This account already has an email and password.',
+    'auth/invalid-email': 'Enter a valid email address.',
+    'auth/weak-password': 'Choose a stronger password.',
+    'auth/wrong-password': 'The email or password is incorrect.',
+    'auth/user-not-found': 'The email or password is incorrect.',
+    'auth/invalid-credential': 'The email or password is incorrect.',
+    'auth/invalid-login-credentials': 'The email or password is incorrect.',
+    'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+    'auth/network-request-failed': "Couldn't reach the sign-in service. Check your connection.",
+    'auth/requires-recent-login': 'Please sign in again to do that.',
+};
+
+export const describeAuthError = (err) => AUTH_ERROR_MESSAGES[err?.code] || 'Something went wrong. Please try again.';
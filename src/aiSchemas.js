@@ -0,0 +1,86 @@
+import { FOOD_UNITS } from './units';
+
+// --- Gemini Response Schemas ---
+// Sent as `responseSchema` with each request and reused by the client to
+// validate what comes back. Nutrients must be present and non-negative.
+
+const nutrient = { type: "NUMBER", minimum: 0 };
+
+export const NUTRIENT_PROPERTIES = {
+    "calories": nutrient,
+    "protein": nutrient,
+    "carbs": nutrient,
+    "fat": nutrient,
+    "fiber": nutrient,
+    "sugar": nutrient,
+    "saturatedFat": nutrient,
+};
+
+export const NUTRIENT_KEYS = Object.keys(NUTRIENT_PROPERTIES);
+
+// Grams in one serving/item/slice/cup of the food, so quantities can be
+// converted between units without another lookup. 0 means "doesn't apply".
+export const GRAM_WEIGHTS_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "serving": nutrient,
+        "item": nutrient,
+        "slice": nutrient,
+        "cup": nutrient,
+    },
+};
+
+export const FOOD_LOOKUP_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        ...NUTRIENT_PROPERTIES,
+        "isZeroPoint": { "type": "BOOLEAN" },
+        "gramWeights": GRAM_WEIGHTS_SCHEMA,
+    },
+    required: [...NUTRIENT_KEYS, "isZeroPoint"],
+};
+
+// Meal ideas with estimated nutrients for one serving, so a suggestion can be
+// logged as-is.
+export const MEAL_SUGGESTIONS_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "suggestions": {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    "name": { "type": "STRING" },
+                    "description": { "type": "STRING" },
+                    ...NUTRIENT_PROPERTIES,
+                },
+                required: ["name", "description", ...NUTRIENT_KEYS],
+            },
+        },
+    },
+    required: ["suggestions"],
+};
+
+// Foods recognised in a meal photo, each with an estimated portion and the
+// nutrients for one `unit` of it (the same shape as a lookup).
+export const PHOTO_ITEMS_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "items": {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    "name": { "type": "STRING" },
+                    "quantity": { type: "NUMBER", minimum: 0 },
+                    "unit": { type: "STRING", enum: FOOD_UNITS },
+                    ...NUTRIENT_PROPERTIES,
+                    "isZeroPoint": { "type": "BOOLEAN" },
+                    "gramWeights": GRAM_WEIGHTS_SCHEMA,
+                },
+                required: ["name", "quantity", "unit", ...NUTRIENT_KEYS, "isZeroPoint"],
+            },
+        },
+    },
+    required: ["items"],
+};
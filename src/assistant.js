@@ -0,0 +1,54 @@
+import { clampNutrients, validateNutrients } from './nutrients';
+
+// --- AI Assistant Conversation ---
+// The assistant panel keeps a list of turns: { role: 'user' | 'model', text,
+// suggestions? }. Every request sends the recent turns plus a fresh snapshot of
+// the day (log, points left) as the system instruction, so follow-up
+// questions always see the current numbers.
+
+export const MAX_HISTORY_TURNS = 12;
+
+export const buildDayContext = ({ dayLabel, mealBreakdown, totalPoints, budgetStatus, trendSummary, weightSummary }) => [
+    'You are a friendly, practical nutrition assistant for someone on a Weight Watchers-style points system. Keep answers short and use simple markdown.',
+    `Day being discussed: ${dayLabel}.`,
+    `Points used: ${totalPoints} of a ${budgetStatus.dailyPoints} daily budget (${budgetStatus.dailyRemaining} left), with ${budgetStatus.weeklyRemaining} of ${budgetStatus.weeklyTotal} weekly points left.`,
+    `Food log by meal:\n${mealBreakdown}`,
+    trendSummary && `Recent trend: ${trendSummary}`,
+    weightSummary,
+].filter(Boolean).join('\n');
+
+// How a suggestion turn reads back to the model in later turns.
+export const describeSuggestions = (suggestions) => suggestions
+    .map((s, i) => `${i + 1}. ${s.name} (about ${Math.round(s.calories)} calories): ${s.description}`)
+    .join('\n');
+
+// Gemini expects turns to alternate, starting with the user.
+export const toChatContents = (history) => {
+    const turns = history.slice(-MAX_HISTORY_TURNS);
+    while (turns.length > 0 && turns[0].role !== 'user') turns.shift();
+    return turns.map((turn) => ({
+        role: turn.role,
+        parts: [{ text: turn.suggestions ? describeSuggestions(turn.suggestions) : turn.text }],
+    }));
+};
+
+// One serving of a suggested meal as { entry } ready for logNewEntry, or
+// { error } when its estimates are out of range. Like scanned items, the
+// estimates are clamped first (fiber, sugar and saturated fat to their
+// totals). Zero-point status is left to the user's list when it's stamped.
+export const suggestionToEntry = (suggestion, meal) => {
+    const name = String(suggestion.name || '').trim();
+    if (!name) return { error: "This suggestion has no name." };
+    const nutrients = validateNutrients(clampNutrients(suggestion));
+    if (!nutrients.isValid) return { error: `The estimated nutrients look wrong: ${Object.values(nutrients.errors)[0]}` };
+    return {
+        entry: {
+            name,
+            ...nutrients.values,
+            quantity: 1,
+            unit: 'serving',
+            meal,
+            gramWeights: {},
+        },
+    };
+};
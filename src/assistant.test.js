@@ -0,0 +1,47 @@
+import { suggestionToEntry, toChatContents } from './assistant';
+import { stampEntry } from './pointsRules';
+
+const SUGGESTION = { name: ' Veggie omelette ', description: 'Eggs with peppers.', calories: 250, protein: 18, carbs: 8, fat: 15, fiber: 2, sugar: 4, saturatedFat: 5 };
+
+describe('suggestionToEntry', () => {
+    it('turns a suggestion into one serving for the chosen meal', () => {
+        expect(suggestionToEntry(SUGGESTION, 'breakfast')).toEqual({
+            entry: {
+                name: 'Veggie omelette', calories: 250, protein: 18, carbs: 8, fat: 15, fiber: 2, sugar: 4, saturatedFat: 5,
+                quantity: 1, unit: 'serving', meal: 'breakfast', gramWeights: {},
+            },
+        });
+    });
+
+    it('ignores the model\'s zero-point flag so the user\'s list decides', () => {
+        const { entry } = suggestionToEntry({ ...SUGGESTION, isZeroPoint: true }, 'lunch');
+        expect(entry).not.toHaveProperty('isZeroPoint');
+        expect(stampEntry(entry, { zeroPointFoods: [] }).isZeroPoint).toBe(false);
+        expect(stampEntry(entry, { zeroPointFoods: ['veggie omelette'] }).isZeroPoint).toBe(true);
+    });
+
+    it('clamps estimates the same way as scanned items', () => {
+        expect(suggestionToEntry({ ...SUGGESTION, fiber: 9, sugar: 9, saturatedFat: 16, protein: -1 }, 'lunch').entry)
+            .toMatchObject({ fiber: 8, sugar: 8, saturatedFat: 15, protein: 0 });
+    });
+
+    it('refuses estimates that are out of range', () => {
+        expect(suggestionToEntry({ ...SUGGESTION, calories: 6000 }, 'lunch')).toEqual({ error: 'The estimated nutrients look wrong: That looks too high.' });
+        expect(suggestionToEntry({ ...SUGGESTION, protein: 1500 }, 'lunch').error).toBe('The estimated nutrients look wrong: That looks too high.');
+        expect(suggestionToEntry({ ...SUGGESTION, name: '' }, 'lunch')).toEqual({ error: 'This suggestion has no name.' });
+    });
+});
+
+describe('toChatContents', () => {
+    it('starts with a user turn and replays suggestions as text', () => {
+        const history = [
+            { role: 'model', text: 'Hello' },
+            { role: 'user', text: 'Ideas?' },
+            { role: 'model', suggestions: [{ ...SUGGESTION, name: 'Veggie omelette' }], mealId: 'breakfast' },
+        ];
+        expect(toChatContents(history)).toEqual([
+            { role: 'user', parts: [{ text: 'Ideas?' }] },
+            { role: 'model', parts: [{ text: '1. Veggie omelette (about 250 calories): Eggs with peppers.' }] },
+        ]);
+    });
+});
@@ -0,0 +1,82 @@
+import { NUTRIENT_KEYS } from './aiSchemas';
+
+// --- Barcode Lookup ---
+// Packaged foods are looked up by barcode in a nutrition database rather than
+// asking the AI. A provider is { id, label, lookup(barcode, { signal }) } and
+// resolves to a food (nutrients per `unit`, plus a suggested `quantity`) or
+// null when the product isn't known. REACT_APP_BARCODE_PROVIDER picks one:
+// 'openfoodfacts' (the default) or 'stub', which answers from a fixed list
+// and never touches the network.
+
+export const normalizeBarcode = (text) => String(text || '').replace(/[\s-]/g, '');
+
+// EAN-8, UPC-A, EAN-13 and GTIN-14, including the check digit.
+export const isValidBarcode = (text) => {
+    const code = normalizeBarcode(text);
+    if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+};
+
+// --- Open Food Facts ---
+const OFF_NUTRIENTS = {
+    calories: 'energy-kcal',
+    protein: 'proteins',
+    carbs: 'carbohydrates',
+    fat: 'fat',
+    fiber: 'fiber',
+    sugar: 'sugars',
+    saturatedFat: 'saturated-fat',
+};
+
+const OFF_FIELDS = 'product_name,brands,serving_quantity,nutriments';
+
+// Per serving when the label gives a serving size, otherwise per gram with 100 g suggested.
+export const fromOpenFoodFacts = (product, barcode) => {
+    const per100g = {};
+    NUTRIENT_KEYS.forEach((key) => { per100g[key] = Number(product.nutriments?.[`${OFF_NUTRIENTS[key]}_100g`]) || 0; });
+    if (!per100g.calories && !per100g.protein && !per100g.carbs && !per100g.fat) return null;
+    const brand = String(product.brands || '').split(',')[0].trim();
+    const name = [brand, String(product.product_name || '').trim()].filter(Boolean).join(' ') || `Product ${barcode}`;
+    const servingGrams = Number(product.serving_quantity) || 0;
+    const food = { name, barcode, isZeroPoint: false };
+    if (servingGrams > 0) {
+        Object.assign(food, { unit: 'serving', quantity: 1, gramWeights: { serving: servingGrams } });
+        NUTRIENT_KEYS.forEach((key) => { food[key] = Math.round(per100g[key] * servingGrams) / 100; });
+    } else {
+        Object.assign(food, { unit: 'g', quantity: 100, gramWeights: {} });
+        NUTRIENT_KEYS.forEach((key) => { food[key] = per100g[key] / 100; });
+    }
+    return food;
+};
+
+export const createOpenFoodFactsProvider = ({ endpoint = 'https://world.openfoodfacts.org', fetchImpl = (...args) => fetch(...args) } = {}) => ({
+    id: 'openfoodfacts',
+    label: 'Open Food Facts',
+    lookup: async (barcode, { signal } = {}) => {
+        const response = await fetchImpl(`${endpoint.replace(/\/+$/, '')}/api/v2/product/${encodeURIComponent(barcode)}.json?fields=${OFF_FIELDS}`, { signal });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Barcode lookup failed with status ${response.status}`);
+        const data = await response.json();
+        return data.status === 1 && data.product ? fromOpenFoodFacts(data.product, barcode) : null;
+    },
+});
+
+// --- Local Stub ---
+export const SAMPLE_BARCODE_PRODUCTS = {
+    '0000000000000': { name: 'Sample Greek Yogurt', unit: 'serving', quantity: 1, calories: 100, protein: 17, carbs: 6, fat: 0, fiber: 0, sugar: 4, saturatedFat: 0, isZeroPoint: true, gramWeights: { serving: 170 } },
+    '96385074': { name: 'Sample Granola Bar', unit: 'item', quantity: 1, calories: 190, protein: 4, carbs: 29, fat: 7, fiber: 2, sugar: 12, saturatedFat: 1, isZeroPoint: false, gramWeights: { item: 42 } },
+};
+
+export const createStubBarcodeProvider = (products = SAMPLE_BARCODE_PRODUCTS) => ({
+    id: 'stub',
+    label: 'Local sample data',
+    lookup: async (barcode) => (products[barcode] ? { ...products[barcode], barcode } : null),
+});
+
+export const getBarcodeProvider = (env = process.env) => {
+    if (env.REACT_APP_BARCODE_PROVIDER === 'stub') return createStubBarcodeProvider();
+    return createOpenFoodFactsProvider(env.REACT_APP_BARCODE_ENDPOINT ? { endpoint: env.REACT_APP_BARCODE_ENDPOINT } : {});
+};
@@ -0,0 +1,104 @@
+import { startOfDay, addDays, toDateKey } from './dateUtils';
+
+// --- Points Budget ---
+// Mirrors how real points programs work: a fixed daily budget plus a weekly
+// allowance that absorbs overages. Optionally, up to `maxRolloverPerDay`
+// unused daily points from each finished day roll into the weekly allowance.
+
+export const DEFAULT_BUDGET = {
+    dailyPoints: 23,
+    weeklyAllowance: 28,
+    rolloverEnabled: true,
+    maxRolloverPerDay: 4,
+    weekStartsOn: 1, // 0 = Sunday ... 6 = Saturday
+};
+
+const toNonNegativeNumber = (value, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const normalizeBudget = (raw = {}) => {
+    const weekStartsOn = parseInt(raw.weekStartsOn, 10);
+    return {
+        dailyPoints: toNonNegativeNumber(raw.dailyPoints, DEFAULT_BUDGET.dailyPoints),
+        weeklyAllowance: toNonNegativeNumber(raw.weeklyAllowance, DEFAULT_BUDGET.weeklyAllowance),
+        rolloverEnabled: typeof raw.rolloverEnabled === 'boolean' ? raw.rolloverEnabled : DEFAULT_BUDGET.rolloverEnabled,
+        maxRolloverPerDay: Math.min(DEFAULT_BUDGET.maxRolloverPerDay, toNonNegativeNumber(raw.maxRolloverPerDay, DEFAULT_BUDGET.maxRolloverPerDay)),
+        weekStartsOn: weekStartsOn >= 0 && weekStartsOn <= 6 ? weekStartsOn : DEFAULT_BUDGET.weekStartsOn,
+    };
+};
+
+export const startOfWeek = (date, weekStartsOn = DEFAULT_BUDGET.weekStartsOn) => {
+    const d = startOfDay(date);
+    const diff = (d.getDay() - weekStartsOn + 7) % 7;
+    return addDays(d, -diff);
+};
+
+export const getWeekRange = (date, weekStartsOn) => {
+    const start = startOfWeek(date, weekStartsOn);
+    return { start, end: addDays(start, 7) };
+};
+
+// Walks the week day by day up to and including `date`. Days before `date`
+// are finished, so their overage is charged to the weekly allowance and their
+// unused points may roll over; `date` itself is still open.
+// `dailyTotals` maps 'YYYY-MM-DD' keys to that day's points.
+export const computeBudgetStatus = (dailyTotals, date, rawBudget) => {
+    const budget = normalizeBudget(rawBudget);
+    const { start } = getWeekRange(date, budget.weekStartsOn);
+    const selectedKey = toDateKey(startOfDay(date));
+
+    let weeklyUsed = 0;
+    let rolledOver = 0;
+    for (let day = start; toDateKey(day) !== selectedKey; day = addDays(day, 1)) {
+        const points = dailyTotals[toDateKey(day)] || 0;
+        weeklyUsed += Math.max(0, points - budget.dailyPoints);
+        if (budget.rolloverEnabled) {
+            rolledOver += Math.min(budget.maxRolloverPerDay, Math.max(0, budget.dailyPoints - points));
+        }
+    }
+
+    const dayPoints = dailyTotals[selectedKey] || 0;
+    const dayOverage = Math.max(0, dayPoints - budget.dailyPoints);
+    weeklyUsed += dayOverage;
+
+    const weeklyTotal = budget.weeklyAllowance + rolledOver;
+    const dailyRemaining = Math.max(0, budget.dailyPoints - dayPoints);
+    const weeklyRemaining = Math.max(0, weeklyTotal - weeklyUsed);
+
+    return {
+        ...budget,
+        dayPoints,
+        dailyRemaining,
+        rolledOver,
+        weeklyTotal,
+        weeklyUsed,
+        weeklyRemaining,
+        isOverWeekly: weeklyUsed > weeklyTotal,
+    };
+};
+
+// Share of the daily budget a single meal should take, as [low, high],
+// keyed by the meal ids in meals.js.
+const MEAL_SHARES = {
+    breakfast: [0.2, 0.3],
+    lunch: [0.25, 0.35],
+    dinner: [0.3, 0.45],
+    snacks: [0.05, 0.15],
+};
+
+// A point range for a meal suggestion, scaled to the daily budget and capped
+// by what is actually left today.
+export const mealPointRange = (mealId, status) => {
+    const [low, high] = MEAL_SHARES[mealId] || MEAL_SHARES.snacks;
+    const max = Math.min(Math.round(status.dailyPoints * high), Math.floor(status.dailyRemaining));
+    const min = Math.min(Math.round(status.dailyPoints * low), max);
+    return { min: Math.max(0, min), max: Math.max(0, max) };
+};
+
+export const describePointRange = ({ min, max }) => {
+    if (max <= 0) return '0 points (zero-point foods only)';
+    if (min === max) return `${max} points`;
+    return `${min}-${max} points`;
+};
@@ -0,0 +1,257 @@
+import { NUTRIENT_KEYS } from './aiSchemas';
+import { calculatePoints, getFormula, normalizeFoodName } from './pointsRules';
+import { toJsDate, toDateKey, fromDateKey } from './dateUtils';
+import { mealOf, isMealId, defaultMealForTime } from './meals';
+import { validateNutrients, validateQuantity } from './nutrients';
+import { toSavedFood, foodKey } from './foodLibrary';
+import { toIngredient } from './recipes';
+import { FOOD_UNITS, normalizeGramWeights } from './units';
+
+// --- Export and Import ---
+// Log entries are exported as flat rows (one per entry) to CSV or JSON. The
+// JSON file also carries saved foods and recipe ingredients, so it round-trips
+// everything; CSV is for spreadsheets and leaves out recipe ingredients and
+// their points basis, so recipes imported from CSV score on their totals. Both formats import through the same
+// row validator.
+
+export const EXPORT_FORMAT = 'points-tracker-export';
+export const EXPORT_VERSION = 1;
+
+export const LOG_COLUMNS = ['date', 'time', 'meal', 'name', 'quantity', 'unit', ...NUTRIENT_KEYS, 'isZeroPoint', 'points', 'formulaId', 'formulaVersion'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toTimeKey = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+export const toExportRow = (entry) => {
+    const created = toJsDate(entry.createdAt) || new Date(0);
+    const row = {
+        date: toDateKey(created),
+        time: toTimeKey(created),
+        meal: mealOf(entry),
+        name: entry.name,
+        quantity: entry.quantity,
+        unit: entry.unit,
+    };
+    NUTRIENT_KEYS.forEach((key) => { row[key] = entry[key] ?? 0; });
+    row.isZeroPoint = !!entry.isZeroPoint;
+    row.points = calculatePoints(entry);
+    row.formulaId = entry.formulaId || '';
+    row.formulaVersion = entry.formulaVersion ?? '';
+    return row;
+};
+
+const byCreatedAt = (a, b) => (toJsDate(a.createdAt) || 0) - (toJsDate(b.createdAt) || 0);
+
+// --- CSV ---
+// Text that a spreadsheet would run as a formula gets a leading quote mark.
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n');
+
+export const exportLogCsv = (entries) => toCsv(entries.slice().sort(byCreatedAt).map(toExportRow), LOG_COLUMNS);
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+export const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    const src = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            record.push(field); records.push(record);
+            record = []; field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) { record.push(field); records.push(record); }
+
+    const [header = [], ...body] = records.filter((r) => r.some((cell) => cell.trim() !== ''));
+    const columns = header.map((h) => h.trim());
+    return body.map((cells) => {
+        const row = {};
+        columns.forEach((column, i) => {
+            const cell = cells[i] ?? '';
+            row[column] = /^'[=+\-@]/.test(cell) ? cell.slice(1) : cell;
+        });
+        return row;
+    });
+};
+
+// --- JSON ---
+export const exportJson = ({ entries, savedFoods = [], exportedAt = new Date() }) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    foodLog: entries.slice().sort(byCreatedAt).map((entry) => ({
+        ...toExportRow(entry),
+        ...(entry.gramWeights && Object.keys(entry.gramWeights).length > 0 ? { gramWeights: entry.gramWeights } : {}),
+        ...(entry.ingredients ? { ingredients: entry.ingredients, recipeServings: entry.recipeServings } : {}),
+        ...(entry.pointsBasis ? { pointsBasis: entry.pointsBasis } : {}),
+    })),
+    savedFoods: savedFoods.map(toSavedFood),
+}, null, 2);
+
+// --- Import ---
+const toBoolean = (value) => value === true || /^(true|yes|1)$/i.test(String(value ?? '').trim());
+
+const hasFormula = (id, version) => {
+    try { getFormula(id, version); return true; } catch { return false; }
+};
+
+// A recipe snapshot's ingredient, rebuilt from checked fields; null when it isn't valid.
+const importIngredient = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const nutrients = validateNutrients(raw);
+    if (!nutrients.isValid || validateQuantity(raw.quantity) || !FOOD_UNITS.includes(raw.unit)) return null;
+    const ingredient = toIngredient({ ...raw, ...nutrients.values, gramWeights: normalizeGramWeights(raw.gramWeights) }, raw.quantity, raw.unit);
+    return ingredient.name ? ingredient : null;
+};
+
+// Returns { entry } ready to be stamped and saved, or { error }.
+export const validateImportRow = (row) => {
+    const name = String(row.name ?? '').trim();
+    if (!name) return { error: 'Missing food name.' };
+    const dateKey = String(row.date ?? '').trim();
+    const day = fromDateKey(dateKey);
+    // `new Date` rolls overflow days forward (2026-02-31 becomes March 3rd), so the key must round-trip.
+    if (!day || toDateKey(day) !== dateKey) return { error: 'Date must look like YYYY-MM-DD.' };
+    // Rows without a time are placed at noon.
+    const time = String(row.time ?? '').trim() || '12:00';
+    const [hours, minutes] = time.split(':').map(Number);
+    if (!Number.isInteger(hours) || hours < 0 || hours > 23 || !Number.isInteger(minutes) || minutes < 0 || minutes > 59) return { error: 'Time must look like HH:MM.' };
+    day.setHours(hours, minutes);
+    const quantityError = validateQuantity(row.quantity);
+    if (quantityError) return { error: quantityError };
+    const unit = String(row.unit ?? '').trim();
+    if (!FOOD_UNITS.includes(unit)) return { error: `Unknown unit "${unit}".` };
+    const nutrients = validateNutrients(row);
+    if (!nutrients.isValid) {
+        const [field, message] = Object.entries(nutrients.errors)[0];
+        return { error: `${field}: ${message}` };
+    }
+
+    const entry = {
+        name,
+        ...nutrients.values,
+        quantity: Number(row.quantity),
+        unit,
+        meal: isMealId(row.meal) ? row.meal : defaultMealForTime(day),
+        isZeroPoint: toBoolean(row.isZeroPoint),
+        gramWeights: normalizeGramWeights(row.gramWeights),
+        createdAt: day,
+    };
+    // Keep the formula the points were computed with when we still know it.
+    const formulaVersion = Number(row.formulaVersion);
+    if (row.formulaId && hasFormula(row.formulaId, formulaVersion)) {
+        entry.formulaId = row.formulaId;
+        entry.formulaVersion = formulaVersion;
+    }
+    // Invalid ingredients are dropped; the entry's own nutrients are already checked.
+    const ingredients = Array.isArray(row.ingredients) ? row.ingredients.map(importIngredient).filter(Boolean) : [];
+    if (ingredients.length > 0) {
+        const recipeServings = Number(row.recipeServings);
+        if (!(Number.isFinite(recipeServings) && recipeServings > 0)) return { error: 'Recipe servings must be greater than zero.' };
+        entry.ingredients = ingredients;
+        entry.recipeServings = recipeServings;
+        const pointsBasis = row.pointsBasis && typeof row.pointsBasis === 'object' ? validateNutrients(row.pointsBasis) : null;
+        if (pointsBasis?.isValid) entry.pointsBasis = pointsBasis.values;
+    }
+    return { entry };
+};
+
+// Same day and minute, food, quantity and unit: treated as the same entry.
+export const entryFingerprint = (entry) => {
+    const created = toJsDate(entry.createdAt);
+    return [created ? `${toDateKey(created)} ${toTimeKey(created)}` : '', normalizeFoodName(entry.name), Number(entry.quantity), String(entry.unit || '').toLowerCase()].join('|');
+};
+
+const looksLikeJson = (text, fileName) => /\.json$/i.test(fileName || '') || /^\s*[[{]/.test(text);
+
+// Parses an export file into { entries, savedFoods, errors: ['Row 3: ...'] }.
+// Throws when the file as a whole can't be read.
+export const parseImportFile = (text, fileName) => {
+    let rows;
+    let foods = [];
+    if (looksLikeJson(text, fileName)) {
+        let data;
+        try { data = JSON.parse(text); } catch { throw new Error('The file is not valid JSON.'); }
+        rows = Array.isArray(data) ? data : data?.foodLog;
+        if (!Array.isArray(rows)) throw new Error('No food log found in this file.');
+        foods = Array.isArray(data.savedFoods) ? data.savedFoods : [];
+    } else {
+        rows = parseCsv(text);
+        if (rows.length === 0) throw new Error('The CSV file has no rows.');
+    }
+
+    const entries = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+        const { entry, error } = validateImportRow(row || {});
+        if (error) errors.push(`Row ${i + 1}: ${error}`);
+        else entries.push(entry);
+    });
+
+    const savedFoods = [];
+    foods.forEach((food, i) => {
+        const saved = toSavedFood(food || {});
+        if (!saved.name || !FOOD_UNITS.includes(saved.unit)) errors.push(`Saved food ${i + 1}: Missing name or unit.`);
+        else savedFoods.push(saved);
+    });
+    return { entries, savedFoods, errors };
+};
+
+// Drops incoming entries that already exist (or repeat within the file).
+export const dedupeEntries = (incoming, existing) => {
+    const seen = new Set(existing.map(entryFingerprint));
+    const fresh = [];
+    incoming.forEach((entry) => {
+        const fingerprint = entryFingerprint(entry);
+        if (seen.has(fingerprint)) return;
+        seen.add(fingerprint);
+        fresh.push(entry);
+    });
+    return { fresh, duplicateCount: incoming.length - fresh.length };
+};
+
+export const dedupeSavedFoods = (incoming, existing) => {
+    const seen = new Set(existing.map((food) => foodKey(food.name, food.unit)));
+    return incoming.filter((food) => {
+        const key = foodKey(food.name, food.unit);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+// Smallest [start, end) day range covering the entries, for the duplicate check.
+export const entriesDayRange = (entries) => {
+    const times = entries.map((entry) => toJsDate(entry.createdAt).getTime());
+    const start = new Date(Math.min(...times));
+    const end = new Date(Math.max(...times));
+    start.setHours(0, 0, 0, 0);
+    end.setHours(24, 0, 0, 0);
+    return { start, end };
+};
+
+export const exportFileName = (kind, extension, date = new Date()) => `points-${kind}-${toDateKey(date)}.${extension}`;
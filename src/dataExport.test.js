@@ -0,0 +1,64 @@
+import { validateImportRow, parseImportFile, exportJson } from './dataExport';
+import { buildRecipe, toIngredient, toRecipeLogEntry } from './recipes';
+
+const ROW = { date: '2026-10-19', time: '18:30', meal: 'dinner', name: 'Chili', quantity: 1, unit: 'serving', calories: 300, protein: 20, carbs: 30, fat: 10, fiber: 8, sugar: 4, saturatedFat: 3 };
+const BEANS = { name: 'Black beans', quantity: 2, unit: 'cup', calories: 220, protein: 15, carbs: 40, fat: 1, fiber: 15, sugar: 1, saturatedFat: 0, isZeroPoint: true };
+
+describe('validateImportRow dates', () => {
+    it('rejects dates that do not exist instead of rolling them over', () => {
+        expect(validateImportRow({ ...ROW, date: '2026-02-31' })).toEqual({ error: 'Date must look like YYYY-MM-DD.' });
+        expect(validateImportRow({ ...ROW, date: '2026-13-01' })).toEqual({ error: 'Date must look like YYYY-MM-DD.' });
+        expect(validateImportRow({ ...ROW, date: '2026-10-19x' })).toEqual({ error: 'Date must look like YYYY-MM-DD.' });
+        expect(validateImportRow({ ...ROW, date: '2028-02-29' }).entry.createdAt).toEqual(new Date(2028, 1, 29, 18, 30));
+    });
+});
+
+describe('validateImportRow recipe fields', () => {
+    it('rebuilds ingredients from checked fields and drops invalid ones', () => {
+        const { entry } = validateImportRow({
+            ...ROW,
+            recipeServings: 4,
+            ingredients: [
+                { ...BEANS, extra: { nested: 'junk' } },
+                { ...BEANS, name: 'Negative', calories: -5 },
+                { ...BEANS, name: 'Too much fiber', fiber: 99 },
+                { ...BEANS, name: 'No quantity', quantity: 0 },
+                { ...BEANS, name: 'Odd unit', unit: 'bucket' },
+                { ...BEANS, name: '' },
+                'not an ingredient',
+                null,
+            ],
+        });
+        expect(entry.ingredients).toEqual([{ ...BEANS, gramWeights: {} }]);
+        expect(entry.recipeServings).toBe(4);
+    });
+
+    it('requires positive recipe servings', () => {
+        ['', 0, -2, 'lots', null].forEach((recipeServings) => {
+            expect(validateImportRow({ ...ROW, ingredients: [BEANS], recipeServings })).toEqual({ error: 'Recipe servings must be greater than zero.' });
+        });
+    });
+
+    it('leaves the recipe fields off when no ingredient is valid', () => {
+        const { entry } = validateImportRow({ ...ROW, ingredients: [{ name: 'Bad' }], recipeServings: 'x' });
+        expect(entry).not.toHaveProperty('ingredients');
+        expect(entry).not.toHaveProperty('recipeServings');
+    });
+
+    it('keeps a valid points basis only', () => {
+        const basis = { calories: 60, protein: 0, carbs: 0, fat: 7, fiber: 0, sugar: 0, saturatedFat: 1 };
+        expect(validateImportRow({ ...ROW, ingredients: [BEANS], recipeServings: 4, pointsBasis: basis }).entry.pointsBasis).toEqual(basis);
+        expect(validateImportRow({ ...ROW, ingredients: [BEANS], recipeServings: 4, pointsBasis: { calories: 'lots' } }).entry).not.toHaveProperty('pointsBasis');
+    });
+});
+
+describe('JSON round trip', () => {
+    it('brings a recipe entry back with its ingredients and points basis', () => {
+        const oil = toIngredient({ name: 'Olive oil', calories: 120, fat: 14, saturatedFat: 2 }, 2, 'serving');
+        const recipe = buildRecipe({ name: 'Chili', servings: 4, ingredients: [toIngredient(BEANS, 2, 'cup'), oil] });
+        const logged = { ...toRecipeLogEntry(recipe, 1.5), createdAt: new Date(2026, 9, 19, 18, 30), meal: 'dinner' };
+        const { entries, errors } = parseImportFile(exportJson({ entries: [logged] }), 'export.json');
+        expect(errors).toEqual([]);
+        expect(entries[0]).toMatchObject({ name: 'Chili', quantity: 1.5, recipeServings: 4, pointsBasis: logged.pointsBasis, ingredients: logged.ingredients.map((i) => ({ ...i, gramWeights: {} })) });
+    });
+});
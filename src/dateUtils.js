@@ -0,0 +1,54 @@
+// --- Local Calendar Day Helpers ---
+// Log entries are bucketed by the user's local calendar day, so everything
+// here works in local time rather than UTC.
+
+export const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+export const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+export const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+export const getDayRange = (date) => {
+    const start = startOfDay(date);
+    return { start, end: addDays(start, 1) };
+};
+
+// Firestore Timestamps, Dates and ISO strings all end up here.
+export const toJsDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD', the format used by <input type="date">.
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const fromDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    if (!year || !month || !day) return null;
+    return new Date(year, month - 1, day);
+};
+
+// Places `time`'s hour/minute/second on `day`, so back-filled entries keep a sensible order.
+export const withTimeOfDay = (day, time = new Date()) => {
+    const d = startOfDay(day);
+    d.setHours(time.getHours(), time.getMinutes(), time.getSeconds(), time.getMilliseconds());
+    return d;
+};
+
+export const formatDayLabel = (date, today = new Date()) => {
+    if (isSameDay(date, today)) return 'Today';
+    if (isSameDay(date, addDays(today, -1))) return 'Yesterday';
+    return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric' });
+};
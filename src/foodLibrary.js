@@ -0,0 +1,107 @@
+import { normalizeFoodName } from './pointsRules';
+import { NUTRIENT_KEYS } from './aiSchemas';
+import { normalizeGramWeights, convertPerUnitValues } from './units';
+
+// --- Saved Foods and Nutrition Cache ---
+// Foods are identified by their normalized name plus unit, so "Banana " and
+// "banana" per item are the same entry while "banana" per cup is not.
+
+export const foodKey = (name, unit) => `${normalizeFoodName(name)}|${String(unit || '').trim().toLowerCase()}`;
+
+// Firestore document ids may not contain "/".
+export const foodDocId = (name, unit) => encodeURIComponent(foodKey(name, unit));
+
+const toNumber = (value) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+// The fields that make up a saved food; anything else on `food` is dropped.
+export const toSavedFood = (food) => {
+    const saved = { name: String(food.name || '').trim(), unit: food.unit, isZeroPoint: !!food.isZeroPoint };
+    NUTRIENT_KEYS.forEach((key) => { saved[key] = toNumber(food[key]); });
+    saved.gramWeights = normalizeGramWeights(food.gramWeights);
+    return saved;
+};
+
+// The same food expressed per `toUnit`, or null when the units don't convert.
+export const convertFood = (food, toUnit) => {
+    const converted = convertPerUnitValues(food, NUTRIENT_KEYS, food.unit, toUnit, food.gramWeights || {});
+    return converted && { ...converted, unit: toUnit };
+};
+
+// A food with the same name stored under another unit, converted to `unit`.
+export const findConvertibleFood = (foods, name, unit) => {
+    const target = normalizeFoodName(name);
+    for (const food of foods) {
+        if (normalizeFoodName(food.name) !== target) continue;
+        const converted = convertFood(food, unit);
+        if (converted) return converted;
+    }
+    return null;
+};
+
+export const indexFoodsByKey = (foods) => {
+    const index = {};
+    foods.forEach((food) => { index[foodKey(food.name, food.unit)] = food; });
+    return index;
+};
+
+// Type-ahead: names starting with the query first, then names containing it.
+export const searchFoods = (foods, text, limit = 6) => {
+    const q = normalizeFoodName(text);
+    if (!q) return [];
+    const starts = [];
+    const contains = [];
+    foods.forEach((food) => {
+        const name = normalizeFoodName(food.name);
+        if (name.startsWith(q)) starts.push(food);
+        else if (name.includes(q)) contains.push(food);
+    });
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return [...starts.sort(byName), ...contains.sort(byName)].slice(0, limit);
+};
+
+// --- Local Nutrition Cache ---
+// Remembers AI lookups in localStorage so repeat lookups are instant and
+// stable. Oldest entries are dropped once `maxEntries` is reached.
+const CACHE_STORAGE_KEY = 'pointsTracker.nutritionCache.v1';
+
+const defaultStorage = () => {
+    try { return typeof window !== 'undefined' ? window.localStorage : null; } catch { return null; }
+};
+
+export const createNutritionCache = ({ storage = defaultStorage(), maxEntries = 300 } = {}) => {
+    let entries;
+
+    const load = () => {
+        if (entries) return entries;
+        try { entries = JSON.parse(storage?.getItem(CACHE_STORAGE_KEY) || '{}') || {}; } catch { entries = {}; }
+        return entries;
+    };
+
+    const persist = () => {
+        try { storage?.setItem(CACHE_STORAGE_KEY, JSON.stringify(entries)); } catch (err) { console.warn("Could not persist nutrition cache:", err); }
+    };
+
+    return {
+        get: (name, unit) => {
+            const entry = load()[foodKey(name, unit)];
+            return entry ? entry.food : null;
+        },
+        findConvertible: (name, unit) => findConvertibleFood(Object.values(load()).map((entry) => entry.food), name, unit),
+        set: (name, unit, food) => {
+            const all = load();
+            all[foodKey(name, unit)] = { food: toSavedFood({ ...food, name, unit }), storedAt: Date.now() };
+            const keys = Object.keys(all);
+            if (keys.length > maxEntries) {
+                keys.sort((a, b) => all[a].storedAt - all[b].storedAt).slice(0, keys.length - maxEntries).forEach((key) => { delete all[key]; });
+            }
+            persist();
+        },
+        clear: () => {
+            entries = {};
+            persist();
+        },
+    };
+};
@@ -0,0 +1,84 @@
+import { foodKey, foodDocId, toSavedFood, convertFood, findConvertibleFood, searchFoods, createNutritionCache } from './foodLibrary';
+
+const memoryStorage = () => {
+    const items = {};
+    return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+const RICE = { name: 'Rice', unit: 'cup', calories: 200, protein: 4, carbs: 45, fat: 0.4, fiber: 0.7, sugar: 0, saturatedFat: 0.1, isZeroPoint: false, gramWeights: { cup: 200 } };
+
+describe('food keys', () => {
+    it('ignore case and spacing in the name but not the unit', () => {
+        expect(foodKey(' Banana ', 'item')).toBe(foodKey('banana', 'Item'));
+        expect(foodKey('banana', 'item')).not.toBe(foodKey('banana', 'cup'));
+        expect(foodDocId('1/2 bagel', 'item')).not.toContain('/');
+    });
+
+    it('keep only the saved-food fields', () => {
+        expect(toSavedFood({ ...RICE, name: ' Rice ', id: 'x', calories: '200', quantity: 3 })).toEqual(RICE);
+    });
+});
+
+describe('unit fallback', () => {
+    it('converts a food to another unit through its gram weights', () => {
+        const perGram = convertFood(RICE, 'g');
+        expect(perGram.unit).toBe('g');
+        expect(perGram.calories).toBeCloseTo(1);
+        expect(perGram.fiber).toBeCloseTo(0.0035);
+        expect(convertFood(RICE, 'slice')).toBeNull();
+    });
+
+    it('finds a food saved under another unit by name', () => {
+        const foods = [{ ...RICE, name: 'Bread', unit: 'slice', gramWeights: {} }, RICE];
+        expect(findConvertibleFood(foods, ' RICE', 'oz')).toMatchObject({ name: 'Rice', unit: 'oz' });
+        expect(findConvertibleFood(foods, 'bread', 'g')).toBeNull();
+        expect(findConvertibleFood(foods, 'pasta', 'cup')).toBeNull();
+    });
+});
+
+describe('searchFoods', () => {
+    const foods = ['Peanut butter', 'Banana bread', 'banana', 'Apple', 'Baked banana chips', 'Bananas foster'].map((name) => ({ name }));
+
+    it('ranks names starting with the query before names containing it, each alphabetically', () => {
+        expect(searchFoods(foods, ' Banana').map((f) => f.name)).toEqual(['banana', 'Banana bread', 'Bananas foster', 'Baked banana chips']);
+    });
+
+    it('limits the results and ignores a blank query', () => {
+        expect(searchFoods(foods, 'ban', 2).map((f) => f.name)).toEqual(['banana', 'Banana bread']);
+        expect(searchFoods(foods, '   ')).toEqual([]);
+    });
+});
+
+describe('createNutritionCache', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('stores lookups per name and unit and survives a reload', () => {
+        const storage = memoryStorage();
+        createNutritionCache({ storage }).set('Rice', 'cup', RICE);
+        const cache = createNutritionCache({ storage });
+        expect(cache.get(' rice ', 'cup')).toEqual(RICE);
+        expect(cache.get('rice', 'g')).toBeNull();
+        expect(cache.findConvertible('rice', 'g')).toMatchObject({ unit: 'g' });
+    });
+
+    it('drops the oldest entries once full', () => {
+        let now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        const cache = createNutritionCache({ storage: memoryStorage(), maxEntries: 2 });
+        cache.set('Rice', 'cup', RICE);
+        cache.set('Oats', 'cup', RICE);
+        cache.set('Rice', 'cup', RICE); // refreshed, so Oats is now the oldest
+        cache.set('Beans', 'cup', RICE);
+        expect(cache.get('oats', 'cup')).toBeNull();
+        expect(cache.get('rice', 'cup')).not.toBeNull();
+        expect(cache.get('beans', 'cup')).not.toBeNull();
+    });
+
+    it('can be cleared and works without storage', () => {
+        const cache = createNutritionCache({ storage: null });
+        cache.set('Rice', 'cup', RICE);
+        expect(cache.get('rice', 'cup')).toEqual(RICE);
+        cache.clear();
+        expect(cache.get('rice', 'cup')).toBeNull();
+    });
+});
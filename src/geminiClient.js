@@ -0,0 +1,209 @@
+// --- Gemini API Client ---
+// The single place that talks to `generateContent`. Configuration comes from
+// REACT_APP_GEMINI_* environment variables, requests are retried with
+// exponential backoff on 429/5xx/network failures, each attempt has a timeout,
+// callers can cancel through an AbortSignal, and JSON responses are validated
+// against the same responseSchema that was sent with the request.
+// The transport is swappable so the client can run against a local stub server.
+
+export const DEFAULT_GEMINI_CONFIG = {
+    apiKey: '',
+    model: 'gemini-2.0-flash',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    timeoutMs: 20000,
+    maxRetries: 3,
+    baseDelayMs: 500,
+};
+
+export class GeminiError extends Error {
+    constructor(message, { status, retryable = false, cause } = {}) {
+        super(message);
+        this.name = 'GeminiError';
+        this.status = status;
+        this.retryable = retryable;
+        if (cause) this.cause = cause;
+    }
+}
+
+export const getGeminiConfig = (env = process.env) => {
+    const int = (value, fallback) => {
+        const n = parseInt(value, 10);
+        return Number.isFinite(n) && n >= 0 ? n : fallback;
+    };
+    return {
+        apiKey: env.REACT_APP_GEMINI_API_KEY || DEFAULT_GEMINI_CONFIG.apiKey,
+        model: env.REACT_APP_GEMINI_MODEL || DEFAULT_GEMINI_CONFIG.model,
+        endpoint: (env.REACT_APP_GEMINI_ENDPOINT || DEFAULT_GEMINI_CONFIG.endpoint).replace(/\/+$/, ''),
+        timeoutMs: int(env.REACT_APP_GEMINI_TIMEOUT_MS, DEFAULT_GEMINI_CONFIG.timeoutMs),
+        maxRetries: int(env.REACT_APP_GEMINI_MAX_RETRIES, DEFAULT_GEMINI_CONFIG.maxRetries),
+    };
+};
+
+// A transport takes { url, method, headers, body, signal } and resolves to
+// { ok, status, headers, json() } -- i.e. what fetch already returns.
+export const fetchTransport = ({ url, ...init }) => fetch(url, init);
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+const abortError = () => {
+    const err = new Error('The request was cancelled.');
+    err.name = 'AbortError';
+    return err;
+};
+
+const isRetryableStatus = (status) => status === 429 || (status >= 500 && status <= 599);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(abortError()); return; }
+    const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Aborts when either the caller cancels or the attempt runs out of time.
+const linkSignal = (parent, timeoutMs) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const onAbort = () => controller.abort();
+    if (parent?.aborted) controller.abort();
+    parent?.addEventListener('abort', onAbort, { once: true });
+    const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+    return {
+        signal: controller.signal,
+        didTimeOut: () => timedOut,
+        cleanup: () => { clearTimeout(timer); parent?.removeEventListener('abort', onAbort); },
+    };
+};
+
+const retryAfterMs = (response) => {
+    const header = response.headers?.get?.('Retry-After');
+    const seconds = parseFloat(header);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+};
+
+// --- Response Schema Validation ---
+// Covers the subset of the OpenAPI schema Gemini accepts that this app uses:
+// OBJECT/ARRAY/STRING/NUMBER/INTEGER/BOOLEAN, required, enum, minimum, maximum.
+export const validateAgainstSchema = (value, schema, path = 'response') => {
+    const fail = (reason) => { throw new GeminiError(`Invalid AI response: ${path} ${reason}.`); };
+    switch (schema.type) {
+        case 'OBJECT': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) fail('is not an object');
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined || value[key] === null) fail(`is missing "${key}"`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                if (value[key] !== undefined && value[key] !== null) validateAgainstSchema(value[key], propSchema, `${path}.${key}`);
+            });
+            break;
+        }
+        case 'ARRAY':
+            if (!Array.isArray(value)) fail('is not an array');
+            if (schema.items) value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+            break;
+        case 'STRING':
+            if (typeof value !== 'string') fail('is not a string');
+            break;
+        case 'NUMBER':
+        case 'INTEGER':
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail('is not a number');
+            if (schema.type === 'INTEGER' && !Number.isInteger(value)) fail('is not an integer');
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`is below ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`is above ${schema.maximum}`);
+            break;
+        case 'BOOLEAN':
+            if (typeof value !== 'boolean') fail('is not a boolean');
+            break;
+        default:
+            break;
+    }
+    if (schema.enum && !schema.enum.includes(value)) fail(`is not one of ${schema.enum.join(', ')}`);
+    return value;
+};
+
+const extractText = (result) => {
+    const blockReason = result?.promptFeedback?.blockReason;
+    if (blockReason) throw new GeminiError(`The request was blocked (${blockReason}).`);
+    const text = result?.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('');
+    if (!text) throw new GeminiError('The AI returned an empty response.');
+    return text;
+};
+
+export const createGeminiClient = (options = {}) => {
+    const config = { ...DEFAULT_GEMINI_CONFIG, ...options };
+    const transport = options.transport || fetchTransport;
+
+    const url = `${config.endpoint}/models/${config.model}:generateContent`;
+
+    const backoff = (attempt) => (config.baseDelayMs * 2 ** attempt) + (Math.random() * config.baseDelayMs);
+
+    const send = async (payload, signal) => {
+        for (let attempt = 0; ; attempt++) {
+            const link = linkSignal(signal, config.timeoutMs);
+            let response;
+            let networkError;
+            try {
+                response = await transport({
+                    url,
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+                    body: JSON.stringify(payload),
+                    signal: link.signal,
+                });
+            } catch (err) {
+                if (signal?.aborted) throw abortError();
+                networkError = new GeminiError(link.didTimeOut() ? 'The AI request timed out.' : 'Could not reach the AI service.', { retryable: true, cause: err });
+            } finally {
+                link.cleanup();
+            }
+
+            if (networkError) {
+                if (attempt >= config.maxRetries) throw networkError;
+                await sleep(backoff(attempt), signal);
+                continue;
+            }
+
+            if (response.ok) return response.json();
+
+            const retryable = isRetryableStatus(response.status);
+            if (!retryable || attempt >= config.maxRetries) {
+                throw new GeminiError(`API request failed with status ${response.status}`, { status: response.status, retryable });
+            }
+            await sleep(retryAfterMs(response) ?? backoff(attempt), signal);
+        }
+    };
+
+    const toContents = ({ prompt, contents }) => contents || [{ role: 'user', parts: [{ text: prompt }] }];
+
+    // `system` is sent as the systemInstruction, which applies to every turn of `contents`.
+    const toPayload = ({ prompt, contents, system }) => ({
+        contents: toContents({ prompt, contents }),
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    });
+
+    return {
+        config,
+
+        // Free-form text (markdown) reply.
+        generateText: async ({ prompt, contents, system, signal }) => {
+            const result = await send(toPayload({ prompt, contents, system }), signal);
+            return extractText(result);
+        },
+
+        // Structured reply, parsed and validated against `schema`.
+        generateJson: async ({ prompt, contents, system, schema, signal }) => {
+            const payload = {
+                ...toPayload({ prompt, contents, system }),
+                generationConfig: { responseMimeType: 'application/json', responseSchema: schema },
+            };
+            const text = extractText(await send(payload, signal));
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (err) {
+                throw new GeminiError('The AI returned malformed data.', { cause: err });
+            }
+            return validateAgainstSchema(data, schema);
+        },
+    };
+};
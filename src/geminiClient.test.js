@@ -0,0 +1,173 @@
+import { createGeminiClient, getGeminiConfig, isAbortError, GeminiError } from './geminiClient';
+import { FOOD_LOOKUP_SCHEMA } from './aiSchemas';
+
+// --- Stub Transport ---
+// Replies are served in order; each is { status, body, headers } or a
+// function of the request. Every request is recorded.
+const stubTransport = (replies) => {
+    const requests = [];
+    const transport = async (request) => {
+        requests.push(request);
+        const next = replies.shift();
+        const reply = typeof next === 'function' ? await next(request) : next;
+        const { status = 200, body = {}, headers = {} } = reply;
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: { get: (name) => headers[name] ?? null },
+            json: async () => body,
+        };
+    };
+    transport.requests = requests;
+    return transport;
+};
+
+const textReply = (text) => ({ body: { candidates: [{ content: { parts: [{ text }] } }] } });
+
+// Resolves only when the request's signal aborts, the way fetch does.
+const hangUntilAborted = ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+        const err = new Error('aborted');
+        err.name = 'AbortError';
+        reject(err);
+    });
+});
+
+const FOOD = { calories: 95, protein: 0.5, carbs: 25, fat: 0.3, fiber: 4, sugar: 19, saturatedFat: 0, isZeroPoint: true };
+
+// Records the backoff delays while running them immediately.
+let delays;
+beforeEach(() => {
+    delays = [];
+    const realSetTimeout = global.setTimeout;
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn, ms) => {
+        delays.push(ms);
+        return realSetTimeout(fn, 0);
+    });
+});
+afterEach(() => jest.restoreAllMocks());
+
+const makeClient = (transport, options = {}) => createGeminiClient({ apiKey: 'test-key', timeoutMs: 0, baseDelayMs: 100, transport, ...options });
+
+describe('requests', () => {
+    it('posts the prompt, key and system instruction to the model endpoint', async () => {
+        const transport = stubTransport([textReply('Hello')]);
+        const client = makeClient(transport, { endpoint: 'http://localhost:9999', model: 'test-model' });
+        await expect(client.generateText({ prompt: 'Hi', system: 'Be brief.' })).resolves.toBe('Hello');
+        const [request] = transport.requests;
+        expect(request.url).toBe('http://localhost:9999/models/test-model:generateContent');
+        expect(request.headers['x-goog-api-key']).toBe('test-key');
+        expect(JSON.parse(request.body)).toEqual({
+            contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+        });
+    });
+
+    it('reads its configuration from the environment', () => {
+        expect(getGeminiConfig({ REACT_APP_GEMINI_ENDPOINT: 'http://localhost:9999/', REACT_APP_GEMINI_MAX_RETRIES: '1', REACT_APP_GEMINI_TIMEOUT_MS: 'x' }))
+            .toMatchObject({ endpoint: 'http://localhost:9999', maxRetries: 1, timeoutMs: 20000 });
+    });
+});
+
+describe('retries', () => {
+    it('retries 429 and 5xx responses with exponential backoff', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        const transport = stubTransport([{ status: 429 }, { status: 503 }, textReply('ok')]);
+        await expect(makeClient(transport).generateText({ prompt: 'Hi' })).resolves.toBe('ok');
+        expect(transport.requests).toHaveLength(3);
+        expect(delays).toEqual([100, 200]);
+    });
+
+    it('waits for Retry-After when the server sends it', async () => {
+        const transport = stubTransport([{ status: 429, headers: { 'Retry-After': '2' } }, textReply('ok')]);
+        await expect(makeClient(transport).generateText({ prompt: 'Hi' })).resolves.toBe('ok');
+        expect(delays).toEqual([2000]);
+    });
+
+    it('retries network failures', async () => {
+        const transport = stubTransport([() => { throw new TypeError('Failed to fetch'); }, textReply('ok')]);
+        await expect(makeClient(transport).generateText({ prompt: 'Hi' })).resolves.toBe('ok');
+        expect(transport.requests).toHaveLength(2);
+    });
+
+    it('gives up after maxRetries', async () => {
+        const transport = stubTransport([{ status: 500 }, { status: 500 }, { status: 500 }]);
+        const error = await makeClient(transport, { maxRetries: 2 }).generateText({ prompt: 'Hi' }).catch((err) => err);
+        expect(error).toBeInstanceOf(GeminiError);
+        expect(error).toMatchObject({ status: 500, retryable: true });
+        expect(transport.requests).toHaveLength(3);
+    });
+
+    it('does not retry other client errors', async () => {
+        const transport = stubTransport([{ status: 400 }, textReply('ok')]);
+        await expect(makeClient(transport).generateText({ prompt: 'Hi' })).rejects.toMatchObject({ status: 400, retryable: false });
+        expect(transport.requests).toHaveLength(1);
+    });
+});
+
+describe('cancellation', () => {
+    it('rejects with an AbortError when the caller cancels a request', async () => {
+        const controller = new AbortController();
+        const transport = stubTransport([(request) => {
+            const pending = hangUntilAborted(request);
+            controller.abort();
+            return pending;
+        }]);
+        const error = await makeClient(transport).generateText({ prompt: 'Hi', signal: controller.signal }).catch((err) => err);
+        expect(isAbortError(error)).toBe(true);
+    });
+
+    it('stops retrying when cancelled during the backoff', async () => {
+        const controller = new AbortController();
+        const transport = stubTransport([() => { controller.abort(); return { status: 503 }; }, textReply('ok')]);
+        const error = await makeClient(transport).generateText({ prompt: 'Hi', signal: controller.signal }).catch((err) => err);
+        expect(isAbortError(error)).toBe(true);
+        expect(transport.requests).toHaveLength(1);
+    });
+
+    it('times out an attempt and retries it', async () => {
+        const transport = stubTransport([hangUntilAborted, textReply('ok')]);
+        await expect(makeClient(transport, { timeoutMs: 20 }).generateText({ prompt: 'Hi' })).resolves.toBe('ok');
+        expect(transport.requests).toHaveLength(2);
+    });
+
+    it('reports a timeout once the retries run out', async () => {
+        const transport = stubTransport([hangUntilAborted]);
+        const error = await makeClient(transport, { timeoutMs: 20, maxRetries: 0 }).generateText({ prompt: 'Hi' }).catch((err) => err);
+        expect(error).toBeInstanceOf(GeminiError);
+        expect(error.message).toBe('The AI request timed out.');
+        expect(isAbortError(error)).toBe(false);
+    });
+});
+
+describe('generateJson', () => {
+    const lookup = (food) => makeClient(stubTransport([textReply(JSON.stringify(food))])).generateJson({ prompt: 'apple', schema: FOOD_LOOKUP_SCHEMA });
+
+    it('sends the schema and returns validated data', async () => {
+        const transport = stubTransport([textReply(JSON.stringify(FOOD))]);
+        await expect(makeClient(transport).generateJson({ prompt: 'apple', schema: FOOD_LOOKUP_SCHEMA })).resolves.toEqual(FOOD);
+        expect(JSON.parse(transport.requests[0].body).generationConfig).toEqual({ responseMimeType: 'application/json', responseSchema: FOOD_LOOKUP_SCHEMA });
+    });
+
+    it('rejects negative nutrients', async () => {
+        await expect(lookup({ ...FOOD, fat: -1 })).rejects.toThrow('Invalid AI response: response.fat is below 0.');
+    });
+
+    it('rejects missing nutrients', async () => {
+        const { protein, ...withoutProtein } = FOOD;
+        await expect(lookup(withoutProtein)).rejects.toThrow('Invalid AI response: response is missing "protein".');
+        await expect(lookup({ ...FOOD, calories: null })).rejects.toThrow('response is missing "calories"');
+    });
+
+    it('rejects values of the wrong type and malformed JSON', async () => {
+        await expect(lookup({ ...FOOD, sugar: '19' })).rejects.toThrow('response.sugar is not a number');
+        const transport = stubTransport([textReply('{"calories": ')]);
+        await expect(makeClient(transport).generateJson({ prompt: 'apple', schema: FOOD_LOOKUP_SCHEMA })).rejects.toThrow('The AI returned malformed data.');
+    });
+
+    it('does not retry a response that fails validation', async () => {
+        const transport = stubTransport([textReply(JSON.stringify({ ...FOOD, carbs: -3 })), textReply(JSON.stringify(FOOD))]);
+        await expect(makeClient(transport).generateJson({ prompt: 'apple', schema: FOOD_LOOKUP_SCHEMA })).rejects.toBeInstanceOf(GeminiError);
+        expect(transport.requests).toHaveLength(1);
+    });
+});
@@ -0,0 +1,80 @@
+// --- Markdown ---
+// A small parser for the markdown Gemini writes: headings, paragraphs, bullet
+// and numbered lists, code blocks, and bold/italic/code/link inline. It builds
+// a plain tree that Markdown.js renders as React elements, so model output is
+// never inserted as HTML. Links are kept only when they are http(s).
+
+// Italic text may hold **bold**, and link targets one level of parentheses,
+// so neither ends at the first closing character inside them.
+const INLINE_PATTERN = /(`+)([^`]+?)\1|\*\*(.+?)\*\*|__(.+?)__|\*(?![\s*])((?:\*\*.+?\*\*|[^*])+?)\*(?!\*)|\b_(?![\s_])(.+?)_\b|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/;
+
+const SAFE_URL = /^https?:\/\//i;
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let rest = String(text);
+    while (rest) {
+        const match = INLINE_PATTERN.exec(rest);
+        if (!match) { nodes.push({ type: 'text', value: rest }); break; }
+        if (match.index > 0) nodes.push({ type: 'text', value: rest.slice(0, match.index) });
+        const [whole, , code, strong1, strong2, em1, em2, label, href] = match;
+        if (code !== undefined) nodes.push({ type: 'code', value: code });
+        else if (strong1 !== undefined || strong2 !== undefined) nodes.push({ type: 'strong', children: parseInline(strong1 ?? strong2) });
+        else if (em1 !== undefined || em2 !== undefined) nodes.push({ type: 'em', children: parseInline(em1 ?? em2) });
+        else if (SAFE_URL.test(href)) nodes.push({ type: 'link', href, children: parseInline(label) });
+        else nodes.push(...parseInline(label));
+        rest = rest.slice(match.index + whole.length);
+    }
+    return nodes;
+};
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const FENCE = /^\s*```/;
+
+// Returns blocks: heading { level, children }, paragraph { lines: [inline[]] },
+// list { ordered, items: [inline[]] } and code { value }.
+export const parseMarkdown = (text) => {
+    const blocks = [];
+    let current = null;
+    const close = () => { current = null; };
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (FENCE.test(line)) {
+            const code = [];
+            for (i += 1; i < lines.length && !FENCE.test(lines[i]); i++) code.push(lines[i]);
+            blocks.push({ type: 'code', value: code.join('\n') });
+            close();
+            continue;
+        }
+        if (!line.trim()) { close(); continue; }
+
+        const heading = HEADING.exec(line);
+        const bullet = BULLET.exec(line);
+        const numbered = !bullet && NUMBERED.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            close();
+        } else if (bullet || numbered) {
+            const ordered = !!numbered;
+            if (!current || current.type !== 'list' || current.ordered !== ordered) {
+                current = { type: 'list', ordered, items: [] };
+                blocks.push(current);
+            }
+            current.items.push(parseInline((bullet || numbered)[1]));
+        } else if (current?.type === 'list' && /^\s{2,}\S/.test(line)) {
+            // An indented line continues the previous list item.
+            current.items[current.items.length - 1].push({ type: 'text', value: ' ' }, ...parseInline(line.trim()));
+        } else {
+            if (!current || current.type !== 'paragraph') {
+                current = { type: 'paragraph', lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(parseInline(line.trim()));
+        }
+    }
+    return blocks;
+};
@@ -0,0 +1,72 @@
+import { parseInline, parseMarkdown } from './markdownParser';
+
+const text = (value) => ({ type: 'text', value });
+
+describe('links', () => {
+    it('renders links to anything but http(s) as their text only', () => {
+        expect(parseInline('[x](javascript:alert(1))')).toEqual([text('x')]);
+        expect(parseInline('Open [this](data:text/html,hi) now')).toEqual([text('Open '), text('this'), text(' now')]);
+        expect(parseInline('[mail](mailto:me@example.com)')).toEqual([text('mail')]);
+    });
+
+    it('keeps http and https links, including parentheses in the target', () => {
+        expect(parseInline('See [the guide](https://example.com/guide).')).toEqual([
+            text('See '), { type: 'link', href: 'https://example.com/guide', children: [text('the guide')] }, text('.'),
+        ]);
+        expect(parseInline('[Oats](http://example.com/wiki/Oat_(grain))')).toEqual([
+            { type: 'link', href: 'http://example.com/wiki/Oat_(grain)', children: [text('Oats')] },
+        ]);
+    });
+});
+
+describe('emphasis', () => {
+    it('nests italic inside bold and bold inside italic', () => {
+        expect(parseInline('**bold with *italic* inside**')).toEqual([
+            { type: 'strong', children: [text('bold with '), { type: 'em', children: [text('italic')] }, text(' inside')] },
+        ]);
+        expect(parseInline('*italic with **bold** inside*')).toEqual([
+            { type: 'em', children: [text('italic with '), { type: 'strong', children: [text('bold')] }, text(' inside')] },
+        ]);
+    });
+
+    it('leaves code spans and stray stars alone', () => {
+        expect(parseInline('`**raw**` and 2 * 3')).toEqual([{ type: 'code', value: '**raw**' }, text(' and 2 * 3')]);
+    });
+});
+
+describe('lists', () => {
+    it('splits bullet and numbered lists and joins indented continuation lines', () => {
+        const blocks = parseMarkdown([
+            '- Eggs',
+            '  with toast',
+            '* Fruit',
+            '1. Boil water',
+            '   for 5 minutes',
+            '2) Add pasta',
+        ].join('\n'));
+        expect(blocks).toEqual([
+            { type: 'list', ordered: false, items: [[text('Eggs'), text(' '), text('with toast')], [text('Fruit')]] },
+            { type: 'list', ordered: true, items: [[text('Boil water'), text(' '), text('for 5 minutes')], [text('Add pasta')]] },
+        ]);
+    });
+
+    it('ends a list at a blank line or an unindented line', () => {
+        expect(parseMarkdown('- One\n\n- Two\nAfter').map((block) => block.type)).toEqual(['list', 'list', 'paragraph']);
+    });
+});
+
+describe('code fences', () => {
+    it('keeps fenced lines as code, unparsed', () => {
+        expect(parseMarkdown('```\n**not bold**\n```\nAfter')).toEqual([
+            { type: 'code', value: '**not bold**' },
+            { type: 'paragraph', lines: [[text('After')]] },
+        ]);
+    });
+
+    it('runs an unterminated fence to the end of the text', () => {
+        expect(parseMarkdown('Try this:\n```js\nconst a = 1;\n- not a list')).toEqual([
+            { type: 'paragraph', lines: [[text('Try this:')]] },
+            { type: 'code', value: 'const a = 1;\n- not a list' },
+        ]);
+    });
+});
@@ -0,0 +1,53 @@
+import { calculatePoints } from './pointsRules';
+import { toJsDate } from './dateUtils';
+import { formatAmount } from './units';
+
+// --- Meals ---
+// Entries logged before meals existed have no `meal`; they fall back to the
+// meal their time of day suggests.
+
+export const MEALS = [
+    { id: 'breakfast', label: 'Breakfast' },
+    { id: 'lunch', label: 'Lunch' },
+    { id: 'dinner', label: 'Dinner' },
+    { id: 'snacks', label: 'Snacks' },
+];
+
+const MEAL_IDS = MEALS.map((m) => m.id);
+
+export const isMealId = (id) => MEAL_IDS.includes(id);
+
+export const mealLabel = (id) => (MEALS.find((m) => m.id === id) || MEALS[3]).label;
+
+export const defaultMealForTime = (date = new Date()) => {
+    const hour = date.getHours();
+    if (hour >= 4 && hour < 11) return 'breakfast';
+    if (hour >= 11 && hour < 15) return 'lunch';
+    if (hour >= 17 && hour < 21) return 'dinner';
+    return 'snacks';
+};
+
+export const mealOf = (item) => {
+    if (isMealId(item.meal)) return item.meal;
+    const created = toJsDate(item.createdAt);
+    return created ? defaultMealForTime(created) : 'snacks';
+};
+
+// Always returns every meal, in order, so empty meals still render.
+export const groupByMeal = (items) => MEALS.map((meal) => {
+    const mealItems = items
+        .filter((item) => mealOf(item) === meal.id)
+        .sort((a, b) => (toJsDate(a.createdAt) || 0) - (toJsDate(b.createdAt) || 0));
+    return {
+        ...meal,
+        items: mealItems,
+        points: mealItems.reduce((total, item) => total + calculatePoints(item), 0),
+    };
+});
+
+// One line per meal, for AI prompts.
+export const describeMealBreakdown = (groups) => groups.map(({ label, items, points }) => {
+    if (items.length === 0) return `${label}: nothing logged`;
+    const list = items.map((item) => `${formatAmount(item.quantity)} ${item.unit} of ${item.name} (${calculatePoints(item)} points)`).join(', ');
+    return `${label} (${points} points): ${list}`;
+}).join('\n');
@@ -0,0 +1,63 @@
+import { NUTRIENT_KEYS } from './aiSchemas';
+
+// --- Nutrient Fields and Validation ---
+// Shared by manual entry and editing, where values arrive as form strings.
+
+const LABELS = {
+    calories: { label: 'Calories', suffix: '' },
+    protein: { label: 'Protein', suffix: 'g' },
+    carbs: { label: 'Carbs', suffix: 'g' },
+    fat: { label: 'Fat', suffix: 'g' },
+    fiber: { label: 'Fiber', suffix: 'g' },
+    sugar: { label: 'Sugar', suffix: 'g' },
+    saturatedFat: { label: 'Saturated Fat', suffix: 'g' },
+};
+
+export const NUTRIENT_FIELDS = NUTRIENT_KEYS.map((key) => ({ key, ...LABELS[key] }));
+
+// Per unit; anything above this is almost certainly a typo.
+const MAX_CALORIES = 5000;
+const MAX_GRAMS = 1000;
+
+// Returns { isValid, errors: { field: message }, values: { field: number } }.
+// Calories are required; the other nutrients default to 0 when left blank.
+export const validateNutrients = (raw) => {
+    const errors = {};
+    const values = {};
+
+    NUTRIENT_KEYS.forEach((key) => {
+        const text = raw[key] === undefined || raw[key] === null ? '' : String(raw[key]).trim();
+        if (text === '') {
+            if (key === 'calories') errors[key] = 'Calories are required.';
+            values[key] = 0;
+            return;
+        }
+        const n = Number(text);
+        if (!Number.isFinite(n)) { errors[key] = 'Must be a number.'; return; }
+        if (n < 0) { errors[key] = 'Cannot be negative.'; return; }
+        if (n > (key === 'calories' ? MAX_CALORIES : MAX_GRAMS)) { errors[key] = 'That looks too high.'; return; }
+        values[key] = n;
+    });
+
+    if (!errors.fiber && !errors.carbs && values.fiber > values.carbs) errors.fiber = 'Fiber cannot exceed carbs.';
+    if (!errors.sugar && !errors.carbs && values.sugar > values.carbs) errors.sugar = 'Sugar cannot exceed carbs.';
+    if (!errors.saturatedFat && !errors.fat && values.saturatedFat > values.fat) errors.saturatedFat = 'Saturated fat cannot exceed fat.';
+
+    return { isValid: Object.keys(errors).length === 0, errors, values };
+};
+
+export const validateQuantity = (raw) => {
+    const n = Number(raw);
+    return Number.isFinite(n) && n > 0 ? null : 'Quantity must be greater than zero.';
+};
+
+// AI estimates sometimes break the rules above (e.g. more fiber than carbs).
+// Where there's no input to fix them by hand, they are clamped instead.
+export const clampNutrients = (raw) => {
+    const values = {};
+    NUTRIENT_KEYS.forEach((key) => { values[key] = Math.max(0, Number(raw[key]) || 0); });
+    values.fiber = Math.min(values.fiber, values.carbs);
+    values.sugar = Math.min(values.sugar, values.carbs);
+    values.saturatedFat = Math.min(values.saturatedFat, values.fat);
+    return values;
+};
@@ -0,0 +1,89 @@
+import { clampNutrients, validateNutrients, validateQuantity, NUTRIENT_FIELDS } from './nutrients';
+import { FOOD_UNITS, normalizeGramWeights } from './units';
+
+// --- Meal Photo Lookup ---
+// Photos are scaled down in the browser and sent to Gemini as inline image
+// data next to the prompt. The detected items are only suggestions until the
+// user confirms them.
+
+export const PHOTO_MAX_DIMENSION = 1024;
+export const PHOTO_MAX_BYTES = 15 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+export const validatePhotoFile = (file) => {
+    if (!file) return 'Choose a photo first.';
+    if (!PHOTO_TYPES.includes(file.type)) return 'Use a JPEG, PNG, WebP or HEIC photo.';
+    if (file.size > PHOTO_MAX_BYTES) return 'That photo is too large.';
+    return null;
+};
+
+const readAsBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// { mimeType, data } for a `parts` entry. Images the browser can decode are
+// re-encoded as a JPEG no larger than PHOTO_MAX_DIMENSION on either side;
+// anything else (e.g. HEIC outside Safari) is sent as-is.
+export const photoToInlineData = async (file) => {
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, PHOTO_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close?.();
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+        if (blob) return { mimeType: 'image/jpeg', data: await readAsBase64(blob) };
+    } catch (err) {
+        console.warn("Could not resize photo, sending the original:", err);
+    }
+    return { mimeType: file.type, data: await readAsBase64(file) };
+};
+
+export const buildPhotoContents = (inlineData, note = '') => [{
+    role: 'user',
+    parts: [
+        { text: `Identify each distinct food or drink in this meal photo. For each one, estimate the portion shown as a quantity and one of these units: ${FOOD_UNITS.join(', ')}. Give the nutritional information for ONE of that unit (not the whole portion), based on general Weight Watchers principles, and whether it's a zero-point food. Also give gramWeights: the weight in grams of one serving, one item, one slice and one cup of it (0 where that unit doesn't apply). ${note.trim() ? `The user adds: "${note.trim()}". ` : ''}Leave out anything that isn't food. Respond ONLY with a JSON object containing an array called "items".` },
+        { inlineData },
+    ],
+}];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Adds the fields the confirmation list edits; every item starts selected.
+// Works for photo items and barcode foods alike.
+export const toDetectedItems = (items, keyPrefix) => items.map((item, i) => {
+    const detected = {
+        key: `${keyPrefix}-${i}`,
+        selected: true,
+        name: String(item.name || '').trim(),
+        quantity: round2(Number(item.quantity)) || 1,
+        unit: FOOD_UNITS.includes(item.unit) ? item.unit : 'serving',
+        isZeroPoint: !!item.isZeroPoint,
+        gramWeights: normalizeGramWeights(item.gramWeights),
+    };
+    if (item.barcode) detected.barcode = item.barcode;
+    return { ...detected, ...clampNutrients(item) };
+}).filter((item) => item.name);
+
+// A reviewed item as a log entry: { entry } ready for logNewEntry, or { error }
+// saying what the user's edits left wrong with it.
+export const toDetectedEntry = (item, meal) => {
+    const name = String(item.name || '').trim();
+    if (!name) return { error: 'Give this item a name.' };
+    const quantityError = validateQuantity(item.quantity);
+    if (quantityError) return { error: quantityError };
+    const nutrients = validateNutrients(item);
+    if (!nutrients.isValid) {
+        const { label, key } = NUTRIENT_FIELDS.find((field) => nutrients.errors[field.key]);
+        return { error: `${label}: ${nutrients.errors[key]}` };
+    }
+    const entry = { name, ...nutrients.values, quantity: parseFloat(item.quantity), unit: item.unit, meal, isZeroPoint: !!item.isZeroPoint, gramWeights: normalizeGramWeights(item.gramWeights) };
+    if (typeof item.zeroPointOverride === 'boolean') entry.zeroPointOverride = item.zeroPointOverride;
+    if (item.barcode) entry.barcode = item.barcode;
+    return { entry };
+};
@@ -0,0 +1,36 @@
+import { toDetectedItems, toDetectedEntry } from './photoLookup';
+
+const APPLE = { name: 'Apple', quantity: 1, unit: 'item', calories: 95, protein: 0.5, carbs: 25, fat: 0.3, fiber: 4.4, sugar: 19, saturatedFat: 0, isZeroPoint: true, gramWeights: { item: 182, cup: 0 } };
+
+describe('toDetectedItems', () => {
+    it('keeps per-gram values unrounded and drops unnamed items', () => {
+        const [item, ...rest] = toDetectedItems([{ ...APPLE, unit: 'g', fiber: 0.024, carbs: 0.14 }, { ...APPLE, name: ' ' }], 'photo0');
+        expect(rest).toEqual([]);
+        expect(item).toMatchObject({ key: 'photo0-0', selected: true, unit: 'g', fiber: 0.024, gramWeights: { item: 182 } });
+    });
+});
+
+describe('toDetectedEntry', () => {
+    it('builds a log entry from a reviewed item', () => {
+        const [item] = toDetectedItems([{ ...APPLE, barcode: '4006381333931' }], 'barcode0');
+        expect(toDetectedEntry({ ...item, quantity: '2', name: ' Green apple ' }, 'snacks')).toEqual({
+            entry: {
+                name: 'Green apple', calories: 95, protein: 0.5, carbs: 25, fat: 0.3, fiber: 4.4, sugar: 19, saturatedFat: 0,
+                quantity: 2, unit: 'item', meal: 'snacks', isZeroPoint: true, gramWeights: { item: 182 }, barcode: '4006381333931',
+            },
+        });
+    });
+
+    it('keeps the zero-point choice the user made in the review list', () => {
+        expect(toDetectedEntry({ ...APPLE, zeroPointOverride: false }, 'lunch').entry).toMatchObject({ isZeroPoint: true, zeroPointOverride: false });
+        expect(toDetectedEntry({ ...APPLE, zeroPointOverride: null }, 'lunch').entry).not.toHaveProperty('zeroPointOverride');
+    });
+
+    it('says what is wrong with an invalid name, quantity or nutrient', () => {
+        expect(toDetectedEntry({ ...APPLE, quantity: '0' }, 'lunch')).toEqual({ error: 'Quantity must be greater than zero.' });
+        expect(toDetectedEntry({ ...APPLE, calories: 99999 }, 'lunch')).toEqual({ error: 'Calories: That looks too high.' });
+        expect(toDetectedEntry({ ...APPLE, fiber: 30 }, 'lunch')).toEqual({ error: 'Fiber: Fiber cannot exceed carbs.' });
+        expect(toDetectedEntry({ ...APPLE, calories: '' }, 'lunch')).toEqual({ error: 'Calories: Calories are required.' });
+        expect(toDetectedEntry({ ...APPLE, name: ' ' }, 'lunch')).toEqual({ error: 'Give this item a name.' });
+    });
+});
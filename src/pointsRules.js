@@ -0,0 +1,109 @@
+// --- Points Rules Engine ---
+// Pure and React-free. Every formula is registered under an id and a version;
+// log entries record the id/version they were created with, so changing a
+// formula means adding a new version rather than editing an old one, and
+// historical totals never move.
+
+const num = (value) => parseFloat(value) || 0;
+
+// Calories fall back to the macro estimate when a source didn't provide them.
+const caloriesOf = (n) => num(n.calories) || ((num(n.protein) * 4) + (num(n.carbs) * 4) + (num(n.fat) * 9));
+
+const FORMULAS = {
+    classic: {
+        label: 'Classic',
+        description: 'Calories and fat, with a fiber credit (the original formula).',
+        versions: {
+            1: (n) => (caloriesOf(n) / 33) + (num(n.fat) / 9) - (Math.min(num(n.fiber), num(n.carbs) / 10) / 5),
+        },
+    },
+    legacy: {
+        label: 'Legacy (protein/carbs/fat/fiber)',
+        description: 'Macro-based formula: protein, carbs and fat add points, fiber takes them away.',
+        versions: {
+            1: (n) => (num(n.protein) / 10.94) + (num(n.carbs) / 9.17) + (num(n.fat) / 3.89) - (num(n.fiber) / 12.49),
+        },
+    },
+    smart: {
+        label: 'Smart (calories/sugar/sat fat/protein)',
+        description: 'Calories, sugar and saturated fat add points, protein takes them away.',
+        versions: {
+            1: (n) => (caloriesOf(n) * 0.0305) + (num(n.saturatedFat) * 0.275) + (num(n.sugar) * 0.12) - (num(n.protein) * 0.098),
+        },
+    },
+};
+
+export const DEFAULT_FORMULA_ID = 'classic';
+
+// Entries saved before formulas were versioned were all computed with this.
+const UNSTAMPED_FORMULA = { formulaId: 'classic', formulaVersion: 1 };
+
+const latestVersion = (id) => Math.max(...Object.keys(FORMULAS[id].versions).map(Number));
+
+export const isKnownFormula = (id) => Object.prototype.hasOwnProperty.call(FORMULAS, id);
+
+export const listFormulas = () => Object.entries(FORMULAS).map(([id, { label, description }]) => ({
+    id, label, description, version: latestVersion(id),
+}));
+
+export const getFormula = (id, version) => {
+    const formula = FORMULAS[id];
+    if (!formula) throw new Error(`Unknown points formula "${id}".`);
+    const v = version === undefined ? latestVersion(id) : Number(version);
+    const compute = formula.versions[v];
+    if (!compute) throw new Error(`Points formula "${id}" has no version ${version}.`);
+    return { id, version: v, label: formula.label, compute };
+};
+
+// The formula reference to store on a new log entry.
+export const currentFormulaRef = (id = DEFAULT_FORMULA_ID) => {
+    const formulaId = isKnownFormula(id) ? id : DEFAULT_FORMULA_ID;
+    return { formulaId, formulaVersion: latestVersion(formulaId) };
+};
+
+export const normalizeFoodName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const parseZeroPointList = (text) => Array.from(new Set(String(text || '').split(/[\n,]/).map(normalizeFoodName).filter(Boolean)));
+
+// The user's explicit `zeroPointOverride` (true or false) beats everything.
+// Otherwise the AI/source flag wins, then the user's own list decides.
+// A trailing plural "s" is ignored so "apple" covers "apples".
+export const isZeroPointFood = (item, zeroPointFoods = []) => {
+    if (typeof item.zeroPointOverride === 'boolean') return item.zeroPointOverride;
+    if (item.isZeroPoint) return true;
+    const name = normalizeFoodName(item.name);
+    if (!name) return false;
+    const singular = name.replace(/s$/, '');
+    return zeroPointFoods.some((food) => {
+        const normalized = normalizeFoodName(food);
+        return normalized === name || normalized.replace(/s$/, '') === singular;
+    });
+};
+
+// Resolves everything that may change over time (formula version, zero-point
+// list) into the entry itself, right before it is saved.
+export const stampEntry = (entry, { formulaId, zeroPointFoods } = {}) => ({
+    ...entry,
+    ...currentFormulaRef(formulaId),
+    isZeroPoint: isZeroPointFood(entry, zeroPointFoods),
+});
+
+// Entries written by a newer client or edited by hand may name a formula or
+// version this build doesn't have. They are scored with the latest version of
+// that formula, or the default one, so one odd entry can't break every total.
+const resolveFormula = ({ formulaId, formulaVersion }) => {
+    if (!isKnownFormula(formulaId)) return getFormula(DEFAULT_FORMULA_ID);
+    return FORMULAS[formulaId].versions[Number(formulaVersion)] ? getFormula(formulaId, formulaVersion) : getFormula(formulaId);
+};
+
+// Recipe entries carry a `pointsBasis` (see recipes.js) that leaves out their
+// zero-point ingredients; everything else is scored on its own nutrients.
+export const calculatePoints = (item) => {
+    if (item.isZeroPoint) {
+        return 0;
+    }
+    const ref = item.formulaId ? { formulaId: item.formulaId, formulaVersion: item.formulaVersion } : UNSTAMPED_FORMULA;
+    const { compute } = resolveFormula(ref);
+    const qty = parseFloat(item.quantity) || 1;
+    return Math.max(0, Math.round(compute(item.pointsBasis || item) * qty));
+};
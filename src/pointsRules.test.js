@@ -0,0 +1,143 @@
+import {
+    DEFAULT_FORMULA_ID,
+    listFormulas,
+    getFormula,
+    currentFormulaRef,
+    parseZeroPointList,
+    isZeroPointFood,
+    stampEntry,
+    calculatePoints,
+} from './pointsRules';
+
+describe('formulas', () => {
+    it('computes classic v1 from calories, fat and a capped fiber credit', () => {
+        const { compute } = getFormula('classic', 1);
+        expect(compute({ calories: 330, fat: 9, fiber: 5, carbs: 50 })).toBeCloseTo(10 + 1 - 1);
+        // Fiber credit is capped at a tenth of the carbs.
+        expect(compute({ calories: 330, fat: 0, fiber: 20, carbs: 10 })).toBeCloseTo(10 - 0.2);
+    });
+
+    it('falls back to the macro estimate when calories are missing', () => {
+        const { compute } = getFormula('classic', 1);
+        // 10g protein + 10g carbs + 1g fat = 89 calories.
+        expect(compute({ protein: 10, carbs: 10, fat: 1 })).toBeCloseTo((89 / 33) + (1 / 9));
+    });
+
+    it('computes legacy v1 from protein, carbs, fat and fiber', () => {
+        const { compute } = getFormula('legacy', 1);
+        expect(compute({ protein: 10.94, carbs: 9.17, fat: 3.89, fiber: 12.49 })).toBeCloseTo(2);
+    });
+
+    it('computes smart v1 from calories, saturated fat, sugar and protein', () => {
+        const { compute } = getFormula('smart', 1);
+        expect(compute({ calories: 100, saturatedFat: 4, sugar: 10, protein: 10 })).toBeCloseTo(3.05 + 1.1 + 1.2 - 0.98);
+    });
+
+    it('lists every formula at its latest version', () => {
+        expect(listFormulas().map((f) => [f.id, f.version])).toEqual([['classic', 1], ['legacy', 1], ['smart', 1]]);
+    });
+
+    it('resolves the latest version when none is given', () => {
+        expect(getFormula('smart')).toMatchObject({ id: 'smart', version: 1 });
+        expect(getFormula('legacy', '1').version).toBe(1);
+    });
+
+    it('throws on an unknown id or version', () => {
+        expect(() => getFormula('keto')).toThrow('Unknown points formula "keto".');
+        expect(() => getFormula('classic', 99)).toThrow('Points formula "classic" has no version 99.');
+    });
+});
+
+describe('currentFormulaRef', () => {
+    it('falls back to the default formula for unknown ids', () => {
+        expect(currentFormulaRef('smart')).toEqual({ formulaId: 'smart', formulaVersion: 1 });
+        expect(currentFormulaRef('nope')).toEqual({ formulaId: DEFAULT_FORMULA_ID, formulaVersion: 1 });
+        expect(currentFormulaRef()).toEqual({ formulaId: DEFAULT_FORMULA_ID, formulaVersion: 1 });
+    });
+});
+
+describe('isZeroPointFood', () => {
+    const list = parseZeroPointList('Apple, banana\n  Chicken   Breast ,apple');
+
+    it('parses a comma or newline separated list without duplicates', () => {
+        expect(list).toEqual(['apple', 'banana', 'chicken breast']);
+    });
+
+    it('matches names on the list regardless of case and spacing', () => {
+        expect(isZeroPointFood({ name: 'BANANA' }, list)).toBe(true);
+        expect(isZeroPointFood({ name: ' chicken  breast ' }, list)).toBe(true);
+        expect(isZeroPointFood({ name: 'bread' }, list)).toBe(false);
+    });
+
+    it('ignores a trailing plural "s" on either side', () => {
+        expect(isZeroPointFood({ name: 'Apples' }, list)).toBe(true);
+        expect(isZeroPointFood({ name: 'chicken breasts' }, list)).toBe(true);
+        expect(isZeroPointFood({ name: 'egg' }, ['eggs'])).toBe(true);
+    });
+
+    it('lets an explicit override beat both the item flag and the list', () => {
+        expect(isZeroPointFood({ name: 'Apple', zeroPointOverride: false }, list)).toBe(false);
+        expect(isZeroPointFood({ name: 'Apple', isZeroPoint: true, zeroPointOverride: false }, list)).toBe(false);
+        expect(isZeroPointFood({ name: 'Cake', zeroPointOverride: true }, list)).toBe(true);
+        expect(isZeroPointFood({ name: 'Apple', zeroPointOverride: null }, list)).toBe(true);
+    });
+
+    it('lets the item flag win and never matches a blank name', () => {
+        expect(isZeroPointFood({ name: 'cake', isZeroPoint: true }, [])).toBe(true);
+        expect(isZeroPointFood({ name: '  ' }, ['s'])).toBe(false);
+    });
+});
+
+describe('stampEntry', () => {
+    it('records the current formula and resolves the zero-point flag', () => {
+        const stamped = stampEntry({ name: 'Apples', calories: 95 }, { formulaId: 'legacy', zeroPointFoods: ['apple'] });
+        expect(stamped).toEqual({ name: 'Apples', calories: 95, formulaId: 'legacy', formulaVersion: 1, isZeroPoint: true });
+    });
+
+    it('keeps an explicit override when the list would say otherwise', () => {
+        const stamped = stampEntry({ name: 'Apples', zeroPointOverride: false }, { zeroPointFoods: ['apple'] });
+        expect(stamped).toMatchObject({ zeroPointOverride: false, isZeroPoint: false });
+        expect(calculatePoints({ ...stamped, calories: 95 })).toBe(3);
+    });
+
+    it('uses the default formula without a plan', () => {
+        expect(stampEntry({ name: 'Toast' })).toEqual({ name: 'Toast', formulaId: DEFAULT_FORMULA_ID, formulaVersion: 1, isZeroPoint: false });
+    });
+
+    it('replaces an older stamp on the entry', () => {
+        const stamped = stampEntry({ name: 'Toast', formulaId: 'classic', formulaVersion: 1, isZeroPoint: true }, { formulaId: 'smart' });
+        expect(stamped).toMatchObject({ formulaId: 'smart', formulaVersion: 1, isZeroPoint: true });
+    });
+});
+
+describe('calculatePoints', () => {
+    const food = { calories: 330, fat: 9, fiber: 5, carbs: 50, protein: 20, sugar: 10, saturatedFat: 3 };
+
+    it('scores unstamped legacy entries with classic v1', () => {
+        expect(calculatePoints(food)).toBe(10);
+        expect(calculatePoints({ ...food, quantity: '2' })).toBe(20);
+    });
+
+    it('scores stamped entries with their own formula', () => {
+        expect(calculatePoints({ ...food, formulaId: 'legacy', formulaVersion: 1 })).toBe(Math.round((20 / 10.94) + (50 / 9.17) + (9 / 3.89) - (5 / 12.49)));
+        expect(calculatePoints({ ...food, formulaId: 'smart', formulaVersion: 1, quantity: 1.5 })).toBe(Math.round(((330 * 0.0305) + (3 * 0.275) + (10 * 0.12) - (20 * 0.098)) * 1.5));
+    });
+
+    it('returns 0 for zero-point foods and never goes negative', () => {
+        expect(calculatePoints({ ...food, isZeroPoint: true })).toBe(0);
+        expect(calculatePoints({ protein: 50, formulaId: 'smart', formulaVersion: 1, calories: 1 })).toBe(0);
+    });
+
+    it('treats a missing or invalid quantity as one', () => {
+        expect(calculatePoints({ ...food, quantity: '' })).toBe(10);
+        expect(calculatePoints({ ...food, quantity: 'abc' })).toBe(10);
+    });
+
+    it('falls back for entries stamped with a formula this build does not have', () => {
+        // An unknown version scores with the latest version of the same formula.
+        expect(calculatePoints({ ...food, formulaId: 'smart', formulaVersion: 7 })).toBe(calculatePoints({ ...food, formulaId: 'smart', formulaVersion: 1 }));
+        // An unknown formula scores with the default one.
+        expect(calculatePoints({ ...food, formulaId: 'keto', formulaVersion: 1 })).toBe(10);
+        expect(calculatePoints({ ...food, formulaId: 'classic', formulaVersion: 'abc' })).toBe(10);
+    });
+});
@@ -0,0 +1,65 @@
+import { NUTRIENT_KEYS } from './aiSchemas';
+
+// --- Recipes ---
+// A recipe is a list of ingredients (per-unit nutrients times a quantity)
+// split into a number of servings. Log entries made from a recipe carry a
+// snapshot of the ingredients, so editing the recipe later leaves them alone.
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+const num = (value) => parseFloat(value) || 0;
+
+export const toIngredient = (food, quantity, unit) => {
+    const ingredient = { name: String(food.name || '').trim(), quantity: num(quantity), unit: unit || food.unit, isZeroPoint: !!food.isZeroPoint };
+    NUTRIENT_KEYS.forEach((key) => { ingredient[key] = num(food[key]); });
+    if (food.gramWeights) ingredient.gramWeights = food.gramWeights;
+    return ingredient;
+};
+
+// Totals for the whole pot.
+export const sumIngredients = (ingredients) => {
+    const totals = {};
+    NUTRIENT_KEYS.forEach((key) => {
+        totals[key] = ingredients.reduce((sum, ingredient) => sum + (num(ingredient[key]) * num(ingredient.quantity)), 0);
+    });
+    return totals;
+};
+
+export const computePerServing = (ingredients, servings) => {
+    const count = num(servings) > 0 ? num(servings) : 1;
+    const totals = sumIngredients(ingredients);
+    const perServing = {};
+    NUTRIENT_KEYS.forEach((key) => { perServing[key] = round1(totals[key] / count); });
+    return perServing;
+};
+
+// What points are scored on: zero-point ingredients still show up in the
+// nutrients, but add no points.
+export const computePointsBasis = (ingredients, servings) => computePerServing(ingredients.filter((ingredient) => !ingredient.isZeroPoint), servings);
+
+export const validateRecipe = ({ name, servings, ingredients }) => {
+    if (!String(name || '').trim()) return 'Please give the recipe a name.';
+    if (!(num(servings) > 0)) return 'Servings must be greater than zero.';
+    if (!ingredients || ingredients.length === 0) return 'Add at least one ingredient.';
+    return null;
+};
+
+export const buildRecipe = ({ name, servings, ingredients }) => ({
+    name: String(name).trim(),
+    servings: num(servings),
+    ingredients,
+    perServing: computePerServing(ingredients, servings),
+});
+
+// "1.5 servings of Chili" as a single log entry.
+export const toRecipeLogEntry = (recipe, servings) => ({
+    name: recipe.name,
+    quantity: num(servings),
+    unit: 'serving',
+    ...recipe.perServing,
+    pointsBasis: computePointsBasis(recipe.ingredients, recipe.servings),
+    isZeroPoint: recipe.ingredients.length > 0 && recipe.ingredients.every((ingredient) => ingredient.isZeroPoint),
+    recipeId: recipe.id || null,
+    recipeServings: recipe.servings,
+    ingredients: recipe.ingredients,
+});
@@ -0,0 +1,28 @@
+import { toIngredient, computePerServing, computePointsBasis, buildRecipe, toRecipeLogEntry } from './recipes';
+import { calculatePoints, stampEntry } from './pointsRules';
+
+const beans = toIngredient({ name: 'Black beans', calories: 220, protein: 15, carbs: 40, fat: 1, fiber: 15, isZeroPoint: true }, 2, 'cup');
+const chicken = toIngredient({ name: 'Chicken breast', calories: 165, protein: 31, fat: 4, isZeroPoint: true }, 2, 'serving');
+const oil = toIngredient({ name: 'Olive oil', calories: 120, fat: 14, saturatedFat: 2 }, 2, 'serving');
+
+describe('recipes', () => {
+    const chili = buildRecipe({ name: 'Chili', servings: 4, ingredients: [beans, chicken, oil] });
+
+    it('shows every ingredient in the per-serving nutrients', () => {
+        expect(chili.perServing).toMatchObject({ calories: 252.5, protein: 23, fat: 9.5 });
+    });
+
+    it('scores points only on the ingredients that are not zero-point', () => {
+        expect(computePointsBasis(chili.ingredients, chili.servings)).toEqual(computePerServing([oil], 4));
+        const entry = stampEntry(toRecipeLogEntry(chili, 1));
+        expect(entry.isZeroPoint).toBe(false);
+        expect(calculatePoints(entry)).toBe(Math.round((60 / 33) + (7 / 9)));
+        expect(calculatePoints({ ...entry, quantity: 2 })).toBe(Math.round(((60 / 33) + (7 / 9)) * 2));
+    });
+
+    it('logs a recipe made only of zero-point ingredients as zero-point', () => {
+        const entry = toRecipeLogEntry(buildRecipe({ name: 'Bean bowl', servings: 2, ingredients: [beans, chicken] }), 1.5);
+        expect(entry).toMatchObject({ quantity: 1.5, unit: 'serving', isZeroPoint: true, recipeServings: 2 });
+        expect(calculatePoints(stampEntry(entry))).toBe(0);
+    });
+});
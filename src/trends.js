@@ -0,0 +1,123 @@
+import { calculatePoints } from './pointsRules';
+import { startOfDay, addDays, toDateKey, toJsDate } from './dateUtils';
+import { startOfWeek } from './budget';
+
+// --- Trends ---
+// Pure aggregation of log entries by day and week, shared by the trends
+// dashboard and the AI day analysis.
+
+const MACRO_KEYS = ['calories', 'protein', 'carbs', 'fat'];
+
+const num = (value) => parseFloat(value) || 0;
+
+const emptyDay = (date) => ({
+    date,
+    key: toDateKey(date),
+    points: 0,
+    calories: 0,
+    protein: 0,
+    carbs: 0,
+    fat: 0,
+    entryCount: 0,
+    zeroPointCount: 0,
+});
+
+// One summary per calendar day in [start, end), including days with no entries.
+export const summarizeDays = (entries, { start, end, dailyBudget }) => {
+    const days = [];
+    const byKey = {};
+    for (let day = startOfDay(start); day < end; day = addDays(day, 1)) {
+        const summary = emptyDay(day);
+        days.push(summary);
+        byKey[summary.key] = summary;
+    }
+    entries.forEach((item) => {
+        const created = toJsDate(item.createdAt);
+        const summary = created && byKey[toDateKey(created)];
+        if (!summary) return;
+        const qty = num(item.quantity) || 1;
+        summary.points += calculatePoints(item);
+        MACRO_KEYS.forEach((key) => { summary[key] += num(item[key]) * qty; });
+        summary.entryCount += 1;
+        if (item.isZeroPoint) summary.zeroPointCount += 1;
+    });
+    days.forEach((day) => {
+        day.isLogged = day.entryCount > 0;
+        day.withinBudget = day.isLogged && day.points <= dailyBudget;
+    });
+    return days;
+};
+
+export const summarizeWeeks = (days, weekStartsOn) => {
+    const weeks = [];
+    days.forEach((day) => {
+        const weekStart = startOfWeek(day.date, weekStartsOn);
+        let week = weeks[weeks.length - 1];
+        if (!week || week.key !== toDateKey(weekStart)) {
+            week = { key: toDateKey(weekStart), weekStart, points: 0, loggedDays: 0, daysWithinBudget: 0 };
+            weeks.push(week);
+        }
+        week.points += day.points;
+        if (day.isLogged) week.loggedDays += 1;
+        if (day.withinBudget) week.daysWithinBudget += 1;
+    });
+    weeks.forEach((week) => {
+        week.averagePoints = week.loggedDays > 0 ? week.points / week.loggedDays : 0;
+    });
+    return weeks;
+};
+
+// Grams of each macro and the share of macro calories it provides.
+export const macroSplit = (days) => {
+    const grams = { protein: 0, carbs: 0, fat: 0 };
+    days.forEach((day) => { Object.keys(grams).forEach((key) => { grams[key] += day[key]; }); });
+    const calories = { protein: grams.protein * 4, carbs: grams.carbs * 4, fat: grams.fat * 9 };
+    const total = calories.protein + calories.carbs + calories.fat;
+    const percent = {};
+    Object.keys(calories).forEach((key) => { percent[key] = total > 0 ? Math.round((calories[key] / total) * 100) : 0; });
+    return { grams, percent };
+};
+
+export const zeroPointShare = (days) => {
+    const entries = days.reduce((sum, day) => sum + day.entryCount, 0);
+    const zero = days.reduce((sum, day) => sum + day.zeroPointCount, 0);
+    return entries > 0 ? zero / entries : 0;
+};
+
+// Consecutive logged days within budget. Today doesn't break the current
+// streak until it has something logged, since the day isn't over yet.
+export const budgetStreaks = (days, today = new Date()) => {
+    let longest = 0;
+    let run = 0;
+    days.forEach((day) => {
+        run = day.withinBudget ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    });
+
+    const todayKey = toDateKey(today);
+    let current = 0;
+    for (let i = days.length - 1; i >= 0; i--) {
+        const day = days[i];
+        if (day.key === todayKey && !day.isLogged) continue;
+        if (!day.withinBudget) break;
+        current += 1;
+    }
+    return { current, longest };
+};
+
+export const averageLoggedPoints = (days) => {
+    const logged = days.filter((day) => day.isLogged);
+    return logged.length > 0 ? logged.reduce((sum, day) => sum + day.points, 0) / logged.length : 0;
+};
+
+// A short plain-text summary for AI prompts.
+export const describeTrends = (days, dailyBudget, today = new Date()) => {
+    const logged = days.filter((day) => day.isLogged);
+    if (logged.length === 0) return `No entries in the last ${days.length} days.`;
+    const { percent } = macroSplit(days);
+    const { current } = budgetStreaks(days, today);
+    return `Over the last ${days.length} days I logged food on ${logged.length} days, averaging ${Math.round(averageLoggedPoints(days))} points per logged day against a budget of ${dailyBudget}. `
+        + `I stayed within budget on ${logged.filter((day) => day.withinBudget).length} of them (current streak: ${current} days). `
+        + `Calories from macros: ${percent.protein}% protein, ${percent.carbs}% carbs, ${percent.fat}% fat. `
+        + `${Math.round(zeroPointShare(days) * 100)}% of entries were zero-point foods.`;
+};
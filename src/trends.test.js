@@ -0,0 +1,111 @@
+import { summarizeDays, summarizeWeeks, macroSplit, zeroPointShare, budgetStreaks, averageLoggedPoints, describeTrends } from './trends';
+
+// Local dates in October 2026; the 19th is a Monday.
+const at = (day, hour = 12) => new Date(2026, 9, day, hour);
+
+// 10 points each with the classic formula.
+const meal = (day, quantity = 1) => ({ name: 'Pasta', createdAt: at(day), calories: 330, protein: 10, carbs: 20, fat: 0, quantity });
+const apple = (day) => ({ name: 'Apple', createdAt: at(day, 15), calories: 95, isZeroPoint: true });
+
+const RANGE = { start: at(13, 0), end: at(20, 0), dailyBudget: 20 };
+
+const ENTRIES = [
+    meal(12), // before the range
+    meal(13),
+    meal(14, 3), // 30 points, over budget
+    meal(16), apple(16),
+    meal(17),
+    meal(18, 2), // exactly on budget
+    meal(20), // after the range
+    { name: 'Undated', calories: 500 },
+];
+
+describe('summarizeDays', () => {
+    const days = summarizeDays(ENTRIES, RANGE);
+
+    it('returns every day in the range, including empty ones', () => {
+        expect(days.map((day) => day.key)).toEqual(['2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19']);
+        expect(days[2]).toMatchObject({ points: 0, calories: 0, entryCount: 0, isLogged: false, withinBudget: false });
+    });
+
+    it('totals points and quantity-scaled macros per day', () => {
+        expect(days[1]).toMatchObject({ points: 30, calories: 990, protein: 30, carbs: 60, entryCount: 1, isLogged: true, withinBudget: false });
+        expect(days[3]).toMatchObject({ points: 10, calories: 425, entryCount: 2, zeroPointCount: 1, withinBudget: true });
+        expect(days[5]).toMatchObject({ points: 20, withinBudget: true });
+    });
+
+    it('ignores entries outside the range or without a date', () => {
+        expect(days.reduce((sum, day) => sum + day.entryCount, 0)).toBe(6);
+        expect(summarizeDays([], RANGE).every((day) => !day.isLogged)).toBe(true);
+    });
+});
+
+describe('summarizeWeeks', () => {
+    const days = summarizeDays(ENTRIES, RANGE);
+
+    it('groups days into weeks starting on Monday', () => {
+        expect(summarizeWeeks(days, 1)).toEqual([
+            expect.objectContaining({ key: '2026-10-12', points: 80, loggedDays: 5, daysWithinBudget: 4, averagePoints: 16 }),
+            expect.objectContaining({ key: '2026-10-19', points: 0, loggedDays: 0, daysWithinBudget: 0, averagePoints: 0 }),
+        ]);
+    });
+
+    it('groups days into weeks starting on Sunday', () => {
+        expect(summarizeWeeks(days, 0)).toEqual([
+            expect.objectContaining({ key: '2026-10-11', points: 60, loggedDays: 4, daysWithinBudget: 3, averagePoints: 15 }),
+            expect.objectContaining({ key: '2026-10-18', points: 20, loggedDays: 1, daysWithinBudget: 1, averagePoints: 20 }),
+        ]);
+    });
+});
+
+describe('macroSplit', () => {
+    it('reports grams and the share of macro calories', () => {
+        const days = [{ protein: 25, carbs: 50, fat: 10 }, { protein: 25, carbs: 50, fat: 10 }];
+        expect(macroSplit(days)).toEqual({ grams: { protein: 50, carbs: 100, fat: 20 }, percent: { protein: 26, carbs: 51, fat: 23 } });
+    });
+
+    it('reports 0% when nothing was eaten', () => {
+        expect(macroSplit(summarizeDays([], RANGE)).percent).toEqual({ protein: 0, carbs: 0, fat: 0 });
+    });
+});
+
+describe('zeroPointShare', () => {
+    it('is the share of entries that were zero-point', () => {
+        expect(zeroPointShare(summarizeDays(ENTRIES, RANGE))).toBeCloseTo(1 / 6);
+        expect(zeroPointShare([])).toBe(0);
+    });
+});
+
+describe('budgetStreaks', () => {
+    const days = summarizeDays(ENTRIES, RANGE);
+
+    it('does not break the current streak while today is not logged yet', () => {
+        expect(budgetStreaks(days, at(19, 9))).toEqual({ current: 3, longest: 3 });
+    });
+
+    it('breaks the current streak on an unlogged past day', () => {
+        expect(budgetStreaks(days, at(20, 9))).toEqual({ current: 0, longest: 3 });
+    });
+
+    it('counts today once it is logged within budget, and resets when it is over', () => {
+        expect(budgetStreaks(summarizeDays([...ENTRIES, meal(19)], RANGE), at(19, 18))).toEqual({ current: 4, longest: 4 });
+        expect(budgetStreaks(summarizeDays([...ENTRIES, meal(19, 5)], RANGE), at(19, 18))).toEqual({ current: 0, longest: 3 });
+    });
+});
+
+describe('describeTrends', () => {
+    it('summarizes the range for the AI prompt', () => {
+        const days = summarizeDays(ENTRIES, RANGE);
+        expect(averageLoggedPoints(days)).toBe(16);
+        expect(describeTrends(days, 20, at(19, 9))).toBe(
+            'Over the last 7 days I logged food on 5 days, averaging 16 points per logged day against a budget of 20. '
+            + 'I stayed within budget on 4 of them (current streak: 3 days). '
+            + 'Calories from macros: 33% protein, 67% carbs, 0% fat. '
+            + '17% of entries were zero-point foods.'
+        );
+    });
+
+    it('says so when nothing was logged', () => {
+        expect(describeTrends(summarizeDays([], RANGE), 20)).toBe('No entries in the last 7 days.');
+    });
+});
@@ -0,0 +1,86 @@
+// --- Units ---
+// The units a food quantity can be logged in, in the order the pickers show them.
+export const FOOD_UNITS = ['serving', 'item', 'g', 'oz', 'lb', 'cup', 'TBSP', 'TSP', 'slice'];
+
+// Mass units convert through grams and volume units through millilitres on
+// their own. Everything else (serving/item/slice, or volume <-> mass) needs the
+// food's own gram weights, e.g. { serving: 150, item: 118, slice: 28, cup: 240 }.
+const GRAMS_PER = { g: 1, oz: 28.3495, lb: 453.592 };
+const ML_PER = { cup: 236.588, TBSP: 14.7868, TSP: 4.92892 };
+
+export const GRAM_WEIGHT_UNITS = ['serving', 'item', 'slice', 'cup'];
+
+export const isMassUnit = (unit) => Object.prototype.hasOwnProperty.call(GRAMS_PER, unit);
+export const isVolumeUnit = (unit) => Object.prototype.hasOwnProperty.call(ML_PER, unit);
+
+// Keeps only positive weights for the units that need them.
+export const normalizeGramWeights = (raw) => {
+    const weights = {};
+    GRAM_WEIGHT_UNITS.forEach((unit) => {
+        const grams = parseFloat(raw?.[unit]);
+        if (Number.isFinite(grams) && grams > 0) weights[unit] = grams;
+    });
+    return weights;
+};
+
+// Grams in one `unit` of this food, or null when it can't be known.
+export const gramsPerUnit = (unit, gramWeights = {}) => {
+    if (isMassUnit(unit)) return GRAMS_PER[unit];
+    if (gramWeights[unit] > 0) return gramWeights[unit];
+    if (isVolumeUnit(unit) && gramWeights.cup > 0) return gramWeights.cup * (ML_PER[unit] / ML_PER.cup);
+    return null;
+};
+
+// How many `toUnit`s are in one `fromUnit`, or null when they don't convert.
+export const unitsPer = (fromUnit, toUnit, gramWeights) => {
+    if (fromUnit === toUnit) return 1;
+    if (isVolumeUnit(fromUnit) && isVolumeUnit(toUnit)) return ML_PER[fromUnit] / ML_PER[toUnit];
+    const fromGrams = gramsPerUnit(fromUnit, gramWeights);
+    const toGrams = gramsPerUnit(toUnit, gramWeights);
+    return fromGrams && toGrams ? fromGrams / toGrams : null;
+};
+
+export const canConvert = (fromUnit, toUnit, gramWeights) => unitsPer(fromUnit, toUnit, gramWeights) !== null;
+
+const round = (n, places) => {
+    const f = 10 ** places;
+    return Math.round(n * f) / f;
+};
+
+// Per-unit values (nutrients) scale with the size of the unit: one `toUnit`
+// holds 1 / unitsPer(from, to) of what one `fromUnit` does. Results keep full
+// precision (0.7 g of fiber per cup is 0.0029 g per gram), so converting back
+// and forth doesn't drift; shorten them with formatAmount once converted.
+export const convertPerUnitValues = (values, keys, fromUnit, toUnit, gramWeights) => {
+    const factor = unitsPer(fromUnit, toUnit, gramWeights);
+    if (factor === null) return null;
+    const converted = { ...values };
+    keys.forEach((key) => {
+        const n = parseFloat(values[key]);
+        if (Number.isFinite(n)) converted[key] = n / factor;
+    });
+    return converted;
+};
+
+// The same portion expressed in `toUnit`, e.g. 1 cup -> 240 g.
+export const convertQuantity = (quantity, fromUnit, toUnit, gramWeights) => {
+    const factor = unitsPer(fromUnit, toUnit, gramWeights);
+    const qty = parseFloat(quantity);
+    if (factor === null || !Number.isFinite(qty)) return null;
+    return qty * factor;
+};
+
+// Shortens a converted or stored amount for display: 2 decimal places, or 2
+// significant digits below 1. Only for values a conversion produced; text
+// the user is typing is never passed through it.
+export const formatAmount = (value) => {
+    const text = String(value);
+    const n = Number(text);
+    if (!Number.isFinite(n) || !/\.\d{5,}|e-/.test(text)) return text;
+    return String(Math.abs(n) >= 1 ? round(n, 2) : Number(n.toPrecision(2)));
+};
+
+export const describeGramWeights = (gramWeights = {}) => GRAM_WEIGHT_UNITS
+    .filter((unit) => gramWeights[unit] > 0)
+    .map((unit) => `1 ${unit} ≈ ${round(gramWeights[unit], 1)} g`)
+    .join(' · ');
@@ -0,0 +1,40 @@
+import { convertPerUnitValues, convertQuantity, formatAmount } from './units';
+
+const GRAM_WEIGHTS = { cup: 240 };
+
+describe('unit conversion', () => {
+    it('keeps small per-gram nutrients instead of rounding them away', () => {
+        const perGram = convertPerUnitValues({ fiber: 0.7, calories: 150 }, ['fiber', 'calories'], 'cup', 'g', GRAM_WEIGHTS);
+        expect(perGram.fiber).toBeCloseTo(0.7 / 240, 10);
+        expect(perGram.fiber).toBeGreaterThan(0);
+    });
+
+    it('round-trips between units without drifting', () => {
+        let values = { fiber: 0.7, calories: 150 };
+        let unit = 'cup';
+        ['g', 'TBSP', 'oz', 'TSP', 'lb', 'cup'].forEach((next) => {
+            values = convertPerUnitValues(values, ['fiber', 'calories'], unit, next, GRAM_WEIGHTS);
+            unit = next;
+        });
+        expect(values.fiber).toBeCloseTo(0.7, 10);
+        expect(values.calories).toBeCloseTo(150, 10);
+        expect(convertQuantity(convertQuantity(1.5, 'cup', 'g', GRAM_WEIGHTS), 'g', 'cup', GRAM_WEIGHTS)).toBeCloseTo(1.5, 10);
+    });
+
+    it('returns null when the units do not convert', () => {
+        expect(convertPerUnitValues({ calories: 100 }, ['calories'], 'slice', 'g', GRAM_WEIGHTS)).toBeNull();
+        expect(convertQuantity(1, 'slice', 'g', GRAM_WEIGHTS)).toBeNull();
+    });
+});
+
+describe('formatAmount', () => {
+    it('shortens long decimals only', () => {
+        expect(formatAmount(0.7 / 240)).toBe('0.0029');
+        expect(formatAmount(150 / 240 * 14.7868 / 236.588 * 100)).toBe('3.91');
+        expect(formatAmount(2.5e-7)).toBe('2.5e-7');
+        expect(formatAmount('0.125')).toBe('0.125');
+        expect(formatAmount('1.')).toBe('1.');
+        expect(formatAmount('')).toBe('');
+        expect(formatAmount(240)).toBe('240');
+    });
+});
@@ -0,0 +1,110 @@
+import { addDays, startOfDay, toDateKey, fromDateKey } from './dateUtils';
+import { startOfWeek } from './budget';
+
+// --- Weight and Body Measurements ---
+// Weigh-ins are stored one per day, keyed by their 'YYYY-MM-DD' date.
+
+export const WEIGHT_UNITS = ['lb', 'kg'];
+
+const KG_PER_LB = 0.45359237;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export const DEFAULT_BODY_SETTINGS = { goalWeight: null, weightUnit: 'lb' };
+
+export const normalizeBodySettings = (raw = {}) => {
+    const goal = parseFloat(raw.goalWeight);
+    return {
+        goalWeight: Number.isFinite(goal) && goal > 0 ? goal : null,
+        weightUnit: WEIGHT_UNITS.includes(raw.weightUnit) ? raw.weightUnit : DEFAULT_BODY_SETTINGS.weightUnit,
+    };
+};
+
+export const convertWeight = (value, from, to) => {
+    if (from === to) return value;
+    return from === 'kg' ? value / KG_PER_LB : value * KG_PER_LB;
+};
+
+// Weigh-ins keep the unit they were entered in and are shown in the user's current one.
+export const inWeightUnit = (weighIns, unit) => weighIns.map((w) => ({
+    ...w,
+    weight: round1(convertWeight(Number(w.weight), w.unit || unit, unit)),
+    unit,
+}));
+
+// Returns an error message, or null when the weigh-in is usable.
+export const validateWeighIn = ({ date, weight, waist }) => {
+    if (!fromDateKey(String(date || ''))) return 'Pick a date for the weigh-in.';
+    const w = Number(weight);
+    if (!Number.isFinite(w) || w <= 0 || w > 1500) return 'Enter a valid weight.';
+    if (waist !== '' && waist !== undefined && waist !== null) {
+        const waistNum = Number(waist);
+        if (!Number.isFinite(waistNum) || waistNum <= 0 || waistNum > 300) return 'Enter a valid waist measurement.';
+    }
+    return null;
+};
+
+export const sortWeighIns = (weighIns) => weighIns.slice().sort((a, b) => a.date.localeCompare(b.date));
+
+export const weighInsInRange = (weighIns, { start, end }) => {
+    const from = toDateKey(start);
+    const to = toDateKey(end);
+    return sortWeighIns(weighIns.filter((w) => w.date >= from && w.date < to));
+};
+
+// Least-squares slope of weight over time, expressed per week.
+const slopePerWeek = (points) => {
+    if (points.length < 2) return 0;
+    const n = points.length;
+    const meanX = points.reduce((s, p) => s + p.x, 0) / n;
+    const meanY = points.reduce((s, p) => s + p.y, 0) / n;
+    const num = points.reduce((s, p) => s + (p.x - meanX) * (p.y - meanY), 0);
+    const den = points.reduce((s, p) => s + (p.x - meanX) ** 2, 0);
+    return den === 0 ? 0 : (num / den) * 7;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const weightTrend = (weighIns, { days = 28, today = new Date() } = {}) => {
+    const end = addDays(startOfDay(today), 1);
+    const recent = weighInsInRange(weighIns, { start: addDays(end, -days), end });
+    if (recent.length === 0) return null;
+    const first = recent[0];
+    const latest = recent[recent.length - 1];
+    const origin = fromDateKey(first.date).getTime();
+    const ratePerWeek = slopePerWeek(recent.map((w) => ({ x: Math.round((fromDateKey(w.date).getTime() - origin) / DAY_MS), y: Number(w.weight) })));
+    return {
+        count: recent.length,
+        first,
+        latest,
+        change: Number(latest.weight) - Number(first.weight),
+        ratePerWeek,
+    };
+};
+
+// Average weight per week, lined up with the weekly points summaries from trends.js.
+export const weeklyWeights = (weighIns, weeks, weekStartsOn) => {
+    const byWeek = {};
+    weighIns.forEach((w) => {
+        const key = toDateKey(startOfWeek(fromDateKey(w.date), weekStartsOn));
+        (byWeek[key] = byWeek[key] || []).push(Number(w.weight));
+    });
+    return weeks.map((week) => {
+        const values = byWeek[week.key] || [];
+        return { ...week, averageWeight: values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null };
+    });
+};
+
+// A short plain-text summary for AI prompts.
+export const describeWeightTrend = (weighIns, { goalWeight, weightUnit }, today = new Date()) => {
+    const trend = weightTrend(weighIns, { days: 28, today });
+    if (!trend) return null;
+    const { latest, change, ratePerWeek, count } = trend;
+    let text = `My latest weigh-in was ${latest.weight} ${weightUnit} on ${latest.date}`;
+    if (latest.waist) text += ` with a ${latest.waist} waist`;
+    text += count > 1
+        ? `; over the last 4 weeks (${count} weigh-ins) my weight changed by ${change > 0 ? '+' : ''}${round1(change)} ${weightUnit}, about ${round1(ratePerWeek)} ${weightUnit} per week.`
+        : '.';
+    if (goalWeight) text += ` My goal weight is ${goalWeight} ${weightUnit} (${round1(Math.abs(latest.weight - goalWeight))} ${weightUnit} to go).`;
+    return text;
+};
@@ -0,0 +1,89 @@
+import { normalizeBodySettings, convertWeight, inWeightUnit, validateWeighIn, weightTrend, weeklyWeights, describeWeightTrend } from './weight';
+
+// Local dates in October 2026; the 19th is a Monday.
+const TODAY = new Date(2026, 9, 19, 9);
+
+// Down exactly 1 lb a week over the last four weeks.
+const WEIGH_INS = [
+    { date: '2026-09-01', weight: 200 }, // older than four weeks
+    { date: '2026-10-19', weight: 177, waist: 34 },
+    { date: '2026-09-28', weight: 180 },
+    { date: '2026-10-12', weight: 178 },
+    { date: '2026-10-05', weight: 179 },
+];
+
+describe('weight units', () => {
+    it('converts between pounds and kilograms', () => {
+        expect(convertWeight(1, 'lb', 'kg')).toBeCloseTo(0.45359237, 10);
+        expect(convertWeight(100, 'kg', 'lb')).toBeCloseTo(220.462, 3);
+        expect(convertWeight(convertWeight(72.5, 'kg', 'lb'), 'lb', 'kg')).toBeCloseTo(72.5, 10);
+        expect(convertWeight(150, 'lb', 'lb')).toBe(150);
+    });
+
+    it('shows weigh-ins in the current unit, rounded to a tenth', () => {
+        const shown = inWeightUnit([{ date: '2026-10-19', weight: '100', unit: 'kg' }, { date: '2026-10-18', weight: 150 }], 'lb');
+        expect(shown).toEqual([{ date: '2026-10-19', weight: 220.5, unit: 'lb' }, { date: '2026-10-18', weight: 150, unit: 'lb' }]);
+    });
+
+    it('keeps a positive goal and a known unit', () => {
+        expect(normalizeBodySettings({ goalWeight: '165.5', weightUnit: 'kg' })).toEqual({ goalWeight: 165.5, weightUnit: 'kg' });
+        expect(normalizeBodySettings({ goalWeight: -1, weightUnit: 'stone' })).toEqual({ goalWeight: null, weightUnit: 'lb' });
+        expect(normalizeBodySettings()).toEqual({ goalWeight: null, weightUnit: 'lb' });
+    });
+});
+
+describe('validateWeighIn', () => {
+    it('needs a date and a plausible weight', () => {
+        expect(validateWeighIn({ date: '2026-10-19', weight: '177' })).toBeNull();
+        expect(validateWeighIn({ date: '', weight: '177' })).toBe('Pick a date for the weigh-in.');
+        expect(validateWeighIn({ date: '2026-10-19', weight: '0' })).toBe('Enter a valid weight.');
+        expect(validateWeighIn({ date: '2026-10-19', weight: 'abc' })).toBe('Enter a valid weight.');
+    });
+
+    it('checks the waist only when one is given', () => {
+        expect(validateWeighIn({ date: '2026-10-19', weight: 177, waist: '' })).toBeNull();
+        expect(validateWeighIn({ date: '2026-10-19', weight: 177, waist: '34' })).toBeNull();
+        expect(validateWeighIn({ date: '2026-10-19', weight: 177, waist: '-2' })).toBe('Enter a valid waist measurement.');
+    });
+});
+
+describe('weightTrend', () => {
+    it('fits a weekly rate to the last four weeks', () => {
+        const trend = weightTrend(WEIGH_INS, { today: TODAY });
+        expect(trend).toMatchObject({ count: 4, change: -3, first: { date: '2026-09-28' }, latest: { date: '2026-10-19' } });
+        expect(trend.ratePerWeek).toBeCloseTo(-1, 10);
+    });
+
+    it('returns null without recent weigh-ins and a zero rate for just one', () => {
+        expect(weightTrend([{ date: '2026-09-01', weight: 200 }], { today: TODAY })).toBeNull();
+        expect(weightTrend([{ date: '2026-10-19', weight: 177 }], { today: TODAY })).toMatchObject({ count: 1, change: 0, ratePerWeek: 0 });
+    });
+});
+
+describe('weeklyWeights', () => {
+    it('averages the weigh-ins in each week and leaves empty weeks null', () => {
+        const weighIns = [{ date: '2026-10-05', weight: 179 }, { date: '2026-10-07', weight: 181 }, { date: '2026-10-12', weight: 178 }];
+        const weeks = [{ key: '2026-09-28' }, { key: '2026-10-05' }, { key: '2026-10-12' }];
+        expect(weeklyWeights(weighIns, weeks, 1).map((w) => w.averageWeight)).toEqual([null, 180, 178]);
+    });
+});
+
+describe('describeWeightTrend', () => {
+    it('summarizes the latest weigh-in, the trend and the goal', () => {
+        expect(describeWeightTrend(WEIGH_INS, { goalWeight: 170, weightUnit: 'lb' }, TODAY)).toBe(
+            'My latest weigh-in was 177 lb on 2026-10-19 with a 34 waist; over the last 4 weeks (4 weigh-ins) my weight changed by -3 lb, about -1 lb per week. My goal weight is 170 lb (7 lb to go).'
+        );
+    });
+
+    it('shows a gain with a plus sign', () => {
+        const gaining = [{ date: '2026-10-12', weight: 70 }, { date: '2026-10-19', weight: 70.5 }];
+        expect(describeWeightTrend(gaining, { goalWeight: null, weightUnit: 'kg' }, TODAY)).toBe(
+            'My latest weigh-in was 70.5 kg on 2026-10-19; over the last 4 weeks (2 weigh-ins) my weight changed by +0.5 kg, about 0.5 kg per week.'
+        );
+    });
+
+    it('keeps it short for a single weigh-in and returns null without any', () => {
+        expect(describeWeightTrend([{ date: '2026-10-19', weight: 177 }], { weightUnit: 'lb' }, TODAY)).toBe('My latest weigh-in was 177 lb on 2026-10-19.');
+        expect(describeWeightTrend([], { weightUnit: 'lb' }, TODAY)).toBeNull();
+    });
+});